@@ -0,0 +1,41 @@
+/**
+ * Error types for the Resource Library
+ * @module Errors
+ */
+
+/**
+ * Base class for every error the library throws, e.g. for invalid arguments
+ * @class ResourceLibraryError
+ * @extends Error
+ * @param {string} message A description of the error
+ */
+export class ResourceLibraryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResourceLibraryError';
+  }
+}
+
+/**
+ * A failed request to the WP API.  Network failures have a status of 0.
+ * @class RequestError
+ * @extends ResourceLibraryError
+ * @param {string} message A description of the error.  For WordPress errors this is the WP error message
+ * @param {Object} details
+ * @param {number} details.status The HTTP status, or 0 if the request never got a response
+ * @param {string} details.code The WP error code (e.g. rest_post_invalid_page_number), or "network_error"
+ * @param {string} details.url The request URL
+ * @param {*} details.data The WP error data, if any
+ * @property {boolean} retryable Whether the request may succeed if tried again (network failures and 5xx responses)
+ */
+export class RequestError extends ResourceLibraryError {
+  constructor(message, { status = 0, code = '', url = '', data = null } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.code = code;
+    this.url = String(url);
+    this.data = data;
+    this.retryable = status === 0 || status >= 500;
+  }
+}
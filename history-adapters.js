@@ -0,0 +1,185 @@
+import { createBrowserHistory, createHashHistory, createMemoryHistory } from 'history';
+import { ResourceLibraryError } from './errors';
+
+/**
+ * History adapters for the Resource Library.  Every adapter has a location ({ pathname, search, hash, state }), push(url, state),
+ * replace(url, state), listen(listener), which returns a function to stop listening, and optionally createHref(url), which returns
+ * the href of a URL for links.  Listeners are called with
+ * { action, location } like the history package, and only "POP" actions are dispatched for changes the adapter didn't make itself.
+ * @module HistoryAdapters
+ */
+
+// Browser and hash histories are shared by every instance on the page, so that each pop is seen once and dispatched to every instance
+const shared_adapters = {};
+
+/**
+ * Wrap a history package history in an adapter with its own listener list
+ * @param {Object} history A history from the history package
+ * @returns {Object} A history adapter
+ */
+function wrapHistory(history) {
+  const listeners = [];
+
+  history.listen((update) => {
+    listeners.slice().forEach((listener) => listener(update));
+  });
+
+  return {
+    get location() {
+      return history.location;
+    },
+    push(url, state) {
+      history.push(url, state);
+    },
+    replace(url, state) {
+      history.replace(url, state);
+    },
+    createHref(url) {
+      return history.createHref(url);
+    },
+    listen(listener) {
+      listeners.push(listener);
+
+      return () => {
+        const index = listeners.indexOf(listener);
+
+        if (index !== -1) {
+          listeners.splice(index, 1);
+        }
+      };
+    },
+  };
+}
+
+/**
+ * Get the shared adapter for a history that lives in the page URL
+ * @param {string} mode One of "browser" or "hash"
+ * @param {function} create Function to create the history
+ * @returns {Object} A history adapter
+ */
+function sharedAdapter(mode, create) {
+  if (!shared_adapters[mode]) {
+    shared_adapters[mode] = wrapHistory(create());
+  }
+
+  return shared_adapters[mode];
+}
+
+/**
+ * An adapter that never changes anything, for when the library shouldn't touch the URL at all
+ * @returns {Object} A history adapter
+ */
+function noneAdapter() {
+  const location = { pathname: '', search: '', hash: '', state: null };
+
+  return {
+    location: location,
+    push(url, state) {
+      location.state = state;
+    },
+    replace(url, state) {
+      location.state = state;
+    },
+    createHref(url) {
+      return url;
+    },
+    listen() {
+      return () => {};
+    },
+  };
+}
+
+/**
+ * An adapter that syncs to vue-router's $route.query.  Works with vue-router 3 and 4.
+ * @param {Object} router The router instance
+ * @returns {Object} A history adapter
+ */
+function vueRouterAdapter(router) {
+  let expected_path = null; // The path of the navigation this adapter started, so it isn't dispatched as a pop
+
+  function currentLocation() {
+    const route = router.currentRoute.value || router.currentRoute;
+    const path = route.fullPath.split('#')[0];
+    const query_index = path.indexOf('?');
+
+    return {
+      pathname: route.path,
+      search: query_index === -1 ? '' : path.substring(query_index),
+      hash: route.hash || '',
+      state: null,
+    };
+  }
+
+  function navigate(method, url) {
+    expected_path = url;
+    const result = router[method](url);
+
+    // Newer versions of vue-router reject duplicate navigations.  Those aren't errors here.
+    if (result && result.catch) {
+      result.catch(() => {});
+    }
+  }
+
+  return {
+    get location() {
+      return currentLocation();
+    },
+    push(url) {
+      navigate('push', url);
+    },
+    replace(url) {
+      navigate('replace', url);
+    },
+    createHref(url) {
+      return router.resolve(url).href;
+    },
+    listen(listener) {
+      return router.afterEach((to) => {
+        if (to.fullPath === expected_path) {
+          expected_path = null;
+          return;
+        }
+
+        listener({ action: 'POP', location: currentLocation() });
+      });
+    },
+  };
+}
+
+/**
+ * Create a history adapter
+ * @function createHistoryAdapter
+ * @param {string|Object} mode One of "browser", "hash", "memory", "router" or "none", or a custom adapter object
+ * @param {Object} options
+ * @param {Object} options.router The vue-router instance, for "router" mode
+ * @param {string} options.initial_url The URL to start at, for "memory" mode
+ * @returns {Object} A history adapter
+ */
+export function createHistoryAdapter(mode, { router, initial_url = '/' } = {}) {
+  if (mode && typeof mode === 'object') {
+    return mode;
+  }
+
+  // Without a window (e.g. server side rendering or tests) there's no URL to sync to
+  if (typeof window === 'undefined' && (mode === 'browser' || mode === 'hash')) {
+    mode = 'memory';
+  }
+
+  switch (mode) {
+    case 'browser':
+      return sharedAdapter('browser', createBrowserHistory);
+    case 'hash':
+      return sharedAdapter('hash', createHashHistory);
+    case 'memory':
+      return wrapHistory(createMemoryHistory({ initialEntries: [initial_url] }));
+    case 'router':
+      if (!router) {
+        throw new ResourceLibraryError('The router history mode requires vue-router to be installed');
+      }
+      return vueRouterAdapter(router);
+    case 'none':
+      return noneAdapter();
+    default:
+      throw new ResourceLibraryError('History mode must be one of: browser, hash, memory, router, none');
+  }
+}
@@ -0,0 +1,125 @@
+import { get, map } from 'lodash';
+
+/**
+ * Image helpers for the Resource Library
+ * @module Images
+ */
+
+/**
+ * Get the embedded featured media of a raw REST item
+ * @function getFeaturedMedia
+ * @param {Object} raw The raw REST item
+ * @returns {Object|null} The embedded attachment, or null if there isn't one (or it wasn't embedded)
+ */
+export function getFeaturedMedia(raw) {
+  const media = get(raw, ['_embedded', 'wp:featuredmedia', '0']);
+
+  // A featured image the current user can't see is embedded as an error object
+  return media && media.media_details ? media : null;
+}
+
+/**
+ * Get the image URL at a size
+ * @function imageURL
+ * @param {Object} media The attachment
+ * @param {string} size The image size name (e.g. full, medium).  Falls back to full if the size doesn't exist
+ * @returns {string|boolean} The image URL, or false if there isn't one
+ */
+export function imageURL(media, size) {
+  const media_details = get(media, 'media_details');
+
+  if (!media_details) {
+    return false;
+  }
+
+  if (!size || !get(media_details, ['sizes', size])) {
+    size = 'full';
+  }
+
+  return get(media_details, ['sizes', size, 'source_url']) || false;
+}
+
+/**
+ * Build a srcset from every size with the same aspect ratio as the chosen size, the way WordPress does for the_post_thumbnail()
+ * @function imageSrcset
+ * @param {Object} media The attachment
+ * @param {Object} chosen The chosen size ({ width, height })
+ * @returns {string} The srcset, or an empty string if there's only one candidate
+ */
+export function imageSrcset(media, chosen) {
+  const ratio = chosen.width && chosen.height ? chosen.width / chosen.height : 0;
+  const candidates = {};
+
+  map(get(media, ['media_details', 'sizes']), (size) => {
+    if (!size.source_url || !size.width || !size.height) {
+      return;
+    }
+
+    if (ratio && Math.abs(size.width / size.height - ratio) > 0.01) {
+      return;
+    }
+
+    candidates[size.width] = size.source_url;
+  });
+
+  const widths = Object.keys(candidates)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  if (widths.length < 2) {
+    return '';
+  }
+
+  return widths.map((width) => `${candidates[width]} ${width}w`).join(', ');
+}
+
+/**
+ * Get everything needed to render an image
+ * @function imageData
+ * @param {Object} media The attachment, e.g. from getFeaturedMedia()
+ * @param {string} size The image size name for src (e.g. full, medium)
+ * @param {Object} options
+ * @param {string} options.sizes The sizes attribute.  Defaults to the chosen size's width, as WordPress does
+ * @param {string} options.placeholder An image URL to use when there is no image
+ * @returns {Object|null} { id, src, srcset, sizes, alt, caption, width, height, mime_type, placeholder }, or null if there is no image and no placeholder.  alt is empty when the image has no alt text, which marks it as decorative
+ */
+export function imageData(media, size, options = {}) {
+  if (!get(media, 'media_details')) {
+    return options.placeholder
+      ? {
+          id: 0,
+          src: options.placeholder,
+          srcset: '',
+          sizes: '',
+          alt: '',
+          caption: '',
+          width: null,
+          height: null,
+          mime_type: '',
+          placeholder: true,
+        }
+      : null;
+  }
+
+  const sizes = media.media_details.sizes || {};
+  const chosen = (size && sizes[size]) || sizes.full || {
+    source_url: media.source_url,
+    width: media.media_details.width,
+    height: media.media_details.height,
+    mime_type: media.mime_type,
+  };
+  const srcset = imageSrcset(media, chosen);
+
+  return {
+    id: media.id,
+    src: chosen.source_url || media.source_url,
+    srcset: srcset,
+    sizes: srcset ? options.sizes || (chosen.width ? `(max-width: ${chosen.width}px) 100vw, ${chosen.width}px` : '') : '',
+    alt: media.alt_text || '',
+    caption: get(media, ['caption', 'rendered'], ''),
+    width: chosen.width || null,
+    height: chosen.height || null,
+    mime_type: chosen.mime_type || media.mime_type || '',
+    placeholder: false,
+  };
+}
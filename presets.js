@@ -0,0 +1,91 @@
+/**
+ * Saved filter presets for the Resource Library
+ * @module Presets
+ */
+
+const STORAGE_PREFIX = 'vue-wp-resource-library:';
+
+// The version of the stored format.  Presets stored in any other format are ignored rather than applied with params that no longer fit.
+const PRESETS_VERSION = 1;
+
+/**
+ * Simple in-memory backend, with the Web Storage interface
+ * @returns {Object} A storage backend
+ */
+function memoryStorage() {
+  const items = {};
+
+  return {
+    getItem(key) {
+      return Object.hasOwnProperty.call(items, key) ? items[key] : null;
+    },
+    setItem(key, value) {
+      items[key] = String(value);
+    },
+    removeItem(key) {
+      delete items[key];
+    },
+  };
+}
+
+/**
+ * Get the localStorage object if it is available and usable
+ * @returns {Storage|null}
+ */
+function getLocalStorage() {
+  try {
+    const storage = window.localStorage;
+    storage.setItem(STORAGE_PREFIX + 'test', '1');
+    storage.removeItem(STORAGE_PREFIX + 'test');
+    return storage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a store for saved presets
+ * @function createPresetStore
+ * @param {Object} options
+ * @param {string|Object} options.storage Where to keep presets.  One of "local" (localStorage) or "memory", or an object with the Web Storage interface (getItem, setItem and removeItem).  Falls back to memory if localStorage is unavailable
+ * @param {string} options.key The storage key
+ * @returns {Object} The store, with load and save methods
+ */
+export function createPresetStore({ storage = 'local', key = 'presets' } = {}) {
+  let backend = storage && typeof storage === 'object' ? storage : null;
+
+  if (!backend) {
+    backend = (storage === 'local' && getLocalStorage()) || memoryStorage();
+  }
+
+  return {
+    /**
+     * Load the saved presets
+     * @returns {Array.<Object>} The presets ({ name, params, saved }), in the order they were saved
+     */
+    load() {
+      try {
+        const stored = JSON.parse(backend.getItem(STORAGE_PREFIX + key));
+
+        return stored && stored.version === PRESETS_VERSION && stored.presets instanceof Array ? stored.presets : [];
+      } catch (error) {
+        return [];
+      }
+    },
+    /**
+     * Save the presets, replacing the saved presets
+     * @param {Array.<Object>} presets The presets ({ name, params, saved })
+     */
+    save(presets) {
+      try {
+        if (presets.length === 0) {
+          backend.removeItem(STORAGE_PREFIX + key);
+        } else {
+          backend.setItem(STORAGE_PREFIX + key, JSON.stringify({ version: PRESETS_VERSION, presets: presets }));
+        }
+      } catch (error) {
+        // Quota exceeded or storage disabled.  The presets are still kept for this page.
+      }
+    },
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Query result cache for the Resource Library
+ * @module QueryCache
+ */
+
+const STORAGE_PREFIX = 'vue-wp-resource-library:';
+
+/**
+ * Simple in-memory backend.  Map keeps insertion order, which doubles as the eviction order.
+ * @returns {Object} A storage backend
+ */
+function memoryBackend() {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      return entries.has(key) ? entries.get(key) : null;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    keys() {
+      return Array.from(entries.keys());
+    },
+  };
+}
+
+/**
+ * sessionStorage backend.  An index of keys is stored alongside the entries so they can be evicted oldest first.  Entries and the index
+ * are scoped to the cache, so caches sharing the storage don't clear or evict each other's entries.
+ * @param {Storage} storage The Web Storage object to use
+ * @param {string} scope The cache's scope
+ * @returns {Object} A storage backend
+ */
+function webStorageBackend(storage, scope) {
+  const prefix = `${STORAGE_PREFIX}cache:${scope}:`;
+  const index_key = prefix + 'index';
+
+  function readIndex() {
+    try {
+      return JSON.parse(storage.getItem(index_key)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function writeIndex(index) {
+    storage.setItem(index_key, JSON.stringify(index));
+  }
+
+  return {
+    get(key) {
+      try {
+        return JSON.parse(storage.getItem(prefix + key));
+      } catch (error) {
+        return null;
+      }
+    },
+    set(key, entry) {
+      const index = readIndex().filter((k) => k !== key);
+      index.push(key);
+
+      try {
+        storage.setItem(prefix + key, JSON.stringify(entry));
+        writeIndex(index);
+      } catch (error) {
+        // Quota exceeded or storage disabled.  Caching is best effort, so just skip this entry.
+      }
+    },
+    delete(key) {
+      storage.removeItem(prefix + key);
+      writeIndex(readIndex().filter((k) => k !== key));
+    },
+    keys() {
+      return readIndex();
+    },
+  };
+}
+
+/**
+ * Get the sessionStorage object if it is available and usable
+ * @returns {Storage|null}
+ */
+function getSessionStorage() {
+  try {
+    const storage = window.sessionStorage;
+    storage.setItem(STORAGE_PREFIX + 'test', '1');
+    storage.removeItem(STORAGE_PREFIX + 'test');
+    return storage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a cache for REST responses, keyed on the request URL
+ * @function createQueryCache
+ * @param {Object} options
+ * @param {string} options.storage Where to keep entries.  One of "memory" or "session".  Falls back to memory if sessionStorage is unavailable
+ * @param {number} options.ttl How long an entry stays fresh, in milliseconds.  0 never expires
+ * @param {number} options.max_entries The maximum number of entries to keep.  The oldest entries are evicted first
+ * @param {number} options.ver The cache version.  Entries stored under a different version are ignored
+ * @param {string} options.scope Keeps this cache's entries, max_entries and clear() apart from other caches in the same storage (e.g. one per instance and route)
+ * @returns {Object} The cache, with get, set, delete and clear methods
+ */
+export function createQueryCache({ storage = 'memory', ttl = 0, max_entries = 50, ver = 1, scope = 'default' } = {}) {
+  const session_storage = storage === 'session' ? getSessionStorage() : null;
+  const backend = session_storage ? webStorageBackend(session_storage, scope) : memoryBackend();
+
+  function isValid(entry) {
+    if (!entry || entry.ver !== ver) {
+      return false;
+    }
+
+    return !ttl || Date.now() - entry.time < ttl;
+  }
+
+  return {
+    /**
+     * Get a cached response
+     * @param {string} key The request URL
+     * @returns {Object|null} The cached entry ({ body, total, total_pages }), or null if missing or stale
+     */
+    get(key) {
+      const entry = backend.get(key);
+
+      if (!isValid(entry)) {
+        if (entry) {
+          backend.delete(key);
+        }
+        return null;
+      }
+
+      return entry;
+    },
+    /**
+     * Store a response
+     * @param {string} key The request URL
+     * @param {Object} data The response data ({ body, total, total_pages })
+     */
+    set(key, data) {
+      backend.set(key, {
+        body: data.body,
+        total: data.total,
+        total_pages: data.total_pages,
+        time: Date.now(),
+        ver: ver,
+      });
+
+      const keys = backend.keys();
+      for (let i = 0; i < keys.length - max_entries; i++) {
+        backend.delete(keys[i]);
+      }
+    },
+    /**
+     * Remove an entry
+     * @param {string} key The request URL
+     */
+    delete(key) {
+      backend.delete(key);
+    },
+    /**
+     * Remove all entries
+     */
+    clear() {
+      backend.keys().forEach((key) => backend.delete(key));
+    },
+    /**
+     * Change the cache version.  This drops every entry stored under the previous version.
+     * @param {number} new_ver The new version
+     */
+    setVersion(new_ver) {
+      if (new_ver !== ver) {
+        ver = new_ver;
+        this.clear();
+      }
+    },
+  };
+}
@@ -0,0 +1,104 @@
+import * as Vue from 'vue';
+import { imageData, getFeaturedMedia } from './images';
+
+/**
+ * Renders the featured image of a resource as an accessible, lazy loaded responsive image.  Pass a scoped slot to render your own
+ * markup with the image data instead.  Works with Vue 2 and Vue 3.
+ * @module ResponsiveImage
+ * @example <responsive-image :resource="post" size="medium_large" sizes="(min-width: 768px) 33vw, 100vw" />
+ * @example <responsive-image :resource="post" v-slot="{ image }"><img v-if="image" :src="image.src" :alt="image.alt" /></responsive-image>
+ */
+export default {
+  name: 'ResponsiveImage',
+
+  /**
+   * @namespace ResponsiveImage
+   * @property {Object} props                  The properties
+   * @property {Object} props.resource         A resource, or a raw REST item with an embedded wp:featuredmedia
+   * @property {Object} props.media            An attachment to use instead of the resource's featured image
+   * @property {string} props.size             The image size name for src (e.g. full, medium)
+   * @property {string} props.sizes            The sizes attribute.  Defaults to the chosen size's width
+   * @property {string} props.placeholder      An image URL to show when there is no image
+   * @property {boolean} props.lazy            Whether to lazy load the image
+   * @property {boolean} props.caption         Whether to wrap the image in a figure with its caption
+   */
+  props: {
+    resource: {
+      type: Object,
+      default: null,
+    },
+    media: {
+      type: Object,
+      default: null,
+    },
+    size: {
+      type: String,
+      default: 'full',
+    },
+    sizes: {
+      type: String,
+      default: '',
+    },
+    placeholder: {
+      type: String,
+      default: '',
+    },
+    lazy: {
+      type: Boolean,
+      default: true,
+    },
+    caption: {
+      type: Boolean,
+      default: false,
+    },
+  },
+
+  computed: {
+    /**
+     * @namespace ResponsiveImage
+     * @property {Object|null} image The image data ({ id, src, srcset, sizes, alt, caption, width, height, mime_type, placeholder })
+     */
+    image() {
+      const media = this.media || getFeaturedMedia(this.resource && this.resource.raw ? this.resource.raw : this.resource);
+
+      return imageData(media, this.size, { sizes: this.sizes || undefined, placeholder: this.placeholder || undefined });
+    },
+  },
+
+  render(vue2_h) {
+    // Vue 2 passes h to render and has attrs and domProps in the vnode data, where Vue 3 exports h and takes them flat
+    const vue2 = vue2_h instanceof Function;
+    const h = vue2 ? vue2_h : Vue.h;
+    const slots = vue2 ? this.$scopedSlots : this.$slots;
+
+    if (slots.default) {
+      const slot = slots.default({ image: this.image });
+
+      return Array.isArray(slot) ? slot[0] : slot;
+    }
+
+    if (!this.image) {
+      return null;
+    }
+
+    const attrs = {
+      src: this.image.src,
+      srcset: this.image.srcset || undefined,
+      sizes: this.image.sizes || undefined,
+      alt: this.image.alt, // Empty alt text marks the image as decorative
+      width: this.image.width || undefined,
+      height: this.image.height || undefined,
+      loading: this.lazy ? 'lazy' : undefined,
+      decoding: 'async',
+    };
+    const img = h('img', vue2 ? { attrs: attrs } : attrs);
+
+    if (!this.caption || !this.image.caption) {
+      return img;
+    }
+
+    const caption = { innerHTML: this.image.caption };
+
+    return h('figure', [img, h('figcaption', vue2 ? { domProps: caption } : caption)]);
+  },
+};
@@ -0,0 +1,956 @@
+import { get, map, extend } from 'lodash';
+
+/**
+ * An in-memory WordPress REST API, for demos and tests without a live WordPress.  createRESTEmulator() returns a transport: a
+ * fetch-compatible function to pass as the transport prop.  It answers the queries the library makes: post collections (search,
+ * taxonomy filters and exclusions, tax_relation, date filters, orderby and order, meta_key ordering, meta_query, per_page and page,
+ * context, _embed and _fields, with the x-wp-total and x-wp-totalpages headers), term collections and /wp/v2/search.  Meta ordering and
+ * meta_query are answered as if the companion filter in sample/rest-meta-query.php were installed.
+ * createRESTHandler() answers the same requests synchronously, without a transport.  It isn't part of the main entry, so import it from
+ * vue-wp-resource-library/rest-emulator.
+ * @module RESTEmulator
+ * @example
+ * import { createRESTEmulator } from 'vue-wp-resource-library/rest-emulator';
+ * const transport = createRESTEmulator({ posts: [{ id: 1, title: 'Hello', date: '2024-01-01T00:00:00', categories: [3] }], terms: [{ id: 3, name: 'News', taxonomy: 'category' }] });
+ * <resource-library :transport="transport" api_root="https://example.test/wp-json/" />
+ */
+
+// Post types and taxonomies whose REST base isn't their name
+const POST_TYPE_REST_BASES = { post: 'posts', page: 'pages', attachment: 'media' };
+const TAXONOMY_REST_BASES = { category: 'categories', post_tag: 'tags' };
+
+const POST_ORDERBYS = ['author', 'date', 'id', 'include', 'modified', 'parent', 'relevance', 'slug', 'include_slugs', 'title', 'meta_value', 'meta_value_num'];
+const TERM_ORDERBYS = ['id', 'include', 'name', 'slug', 'include_slugs', 'term_group', 'description', 'count'];
+const NUMERIC_META_TYPES = ['NUMERIC', 'DECIMAL', 'SIGNED', 'UNSIGNED'];
+const DATE_PARAMS = ['after', 'before', 'modified_after', 'modified_before'];
+const CONTEXTS = ['view', 'embed', 'edit'];
+
+// Fields in the view and edit contexts but not the embed context, as in the posts, attachments, terms and users schemas.  Taxonomy
+// term lists are left out of the embed context as well
+const POST_VIEW_FIELDS = ['date_gmt', 'guid', 'modified', 'modified_gmt', 'status', 'content', 'comment_status', 'ping_status', 'format', 'meta', 'sticky', 'template', 'menu_order', 'class_list', 'description', 'post'];
+const TERM_VIEW_FIELDS = ['count', 'description', 'parent', 'meta'];
+const USER_VIEW_FIELDS = ['meta'];
+
+/**
+ * Parse a query string the way PHP does, so bracketed keys (e.g. meta_query[0][key]) become nested objects
+ * @param {URLSearchParams} search_params The query
+ * @returns {Object} The query params
+ */
+function parseQuery(search_params) {
+  const query = {};
+
+  search_params.forEach((value, key) => {
+    const path = key.replace(/\]/g, '').split('[');
+    let target = query;
+
+    path.forEach((segment, index) => {
+      if (index === path.length - 1) {
+        if (segment === '') {
+          segment = Object.keys(target).length;
+        }
+        target[segment] = value;
+      } else {
+        if (!target[segment] || typeof target[segment] !== 'object') {
+          target[segment] = {};
+        }
+        target = target[segment];
+      }
+    });
+  });
+
+  return query;
+}
+
+/**
+ * Get a list param, which may be comma separated or bracketed
+ * @param {*} value The param
+ * @returns {Array.<string>} The list
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  if (typeof value === 'object') {
+    return Object.values(value).map(String);
+  }
+
+  return String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item !== '');
+}
+
+/**
+ * Get a list param of IDs
+ * @param {*} value The param
+ * @returns {Array.<number>} The IDs
+ */
+function toIdList(value) {
+  return toList(value)
+    .map((item) => parseInt(item))
+    .filter((item) => !isNaN(item));
+}
+
+/**
+ * Whether a boolean param is set
+ * @param {*} value The param
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return ['1', 'true'].indexOf(String(value).toLowerCase()) !== -1;
+}
+
+/**
+ * Get the text of a rendered field
+ * @param {*} field The field, either a string or { rendered }
+ * @returns {string} The text, without tags
+ */
+function text(field) {
+  const html = field && field.rendered !== undefined ? field.rendered : field || '';
+
+  return String(html)
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Make a slug from a title
+ * @param {string} title The title
+ * @returns {string} The slug
+ */
+function slugify(title) {
+  return text(title)
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build a response
+ * @param {number} status The HTTP status
+ * @param {*} body The JSON body
+ * @param {Object} headers The headers
+ * @returns {Object} { status, body, headers }, with lowercase header names and string values
+ */
+function createResponse(status, body, headers = {}) {
+  const values = {};
+  map(extend({ 'content-type': 'application/json; charset=UTF-8' }, headers), (value, name) => {
+    values[name.toLowerCase()] = String(value);
+  });
+
+  return { status: status, body: body, headers: values };
+}
+
+/**
+ * Build a fetch Response-like object from a response
+ * @param {Object} response The response ({ status, body, headers })
+ * @returns {Object} { ok, status, statusText, headers, json() }
+ */
+function toFetchResponse(response) {
+  const values = response.headers;
+  const json = JSON.stringify(response.body);
+
+  return {
+    ok: response.status >= 200 && response.status < 300,
+    status: response.status,
+    statusText: response.status >= 200 && response.status < 300 ? 'OK' : 'Error',
+    headers: {
+      get: (name) => (values[name.toLowerCase()] !== undefined ? values[name.toLowerCase()] : null),
+      has: (name) => values[name.toLowerCase()] !== undefined,
+      forEach: (callback) => map(values, (value, name) => callback(value, name)),
+    },
+    json: async () => JSON.parse(json),
+  };
+}
+
+/**
+ * Build a WordPress error response
+ * @param {number} status The HTTP status
+ * @param {string} code The WP error code
+ * @param {string} message The error message
+ * @returns {Object} The response
+ */
+function errorResponse(status, code, message) {
+  return createResponse(status, { code: code, message: message, data: { status: status } });
+}
+
+/**
+ * Limit an item to the fields in a context, the way the REST controllers filter their responses by the schema.  Fields that aren't
+ * in the schema are in every context
+ * @param {Object} item The item
+ * @param {string} context One of view, embed or edit
+ * @param {Array.<string>} view_fields The fields that aren't in the embed context
+ * @returns {Object} The item with only the fields in the context
+ */
+function forContext(item, context, view_fields) {
+  if (context !== 'embed') {
+    return item;
+  }
+
+  const limited = extend({}, item);
+  view_fields.forEach((field) => delete limited[field]);
+
+  return limited;
+}
+
+/**
+ * Cast a value to a DATE, DATETIME or TIME the way MySQL does, accepting YYYY-MM-DD and YYYYMMDD dates and an optional time
+ * @param {*} value The value
+ * @param {string} type One of "DATE", "DATETIME" or "TIME"
+ * @returns {string|null} The value as YYYY-MM-DD, YYYY-MM-DD HH:MM:SS or HH:MM:SS, which compare correctly as strings, or null (which never matches) if it isn't a date
+ */
+function castDate(value, type) {
+  if (type === 'TIME') {
+    const time = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+
+    return time ? `${time[1].padStart(2, '0')}:${time[2]}:${time[3] || '00'}` : null;
+  }
+
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value).trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+
+  return type === 'DATE' ? date : `${date} ${match[4] || '00'}:${match[5] || '00'}:${match[6] || '00'}`;
+}
+
+/**
+ * Build the RegExp for a REGEXP or RLIKE compare
+ * @param {string} pattern The pattern from the request
+ * @returns {RegExp|null} The RegExp, or null if the pattern is invalid.  MySQL fails the query for an invalid pattern, so it matches nothing
+ */
+function metaRegExp(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare a meta value against a meta_query clause, the way WP_Meta_Query does in SQL
+ * @param {Array.<*>} values The post's values for the key.  Empty if the post doesn't have the key
+ * @param {Object} clause The clause ({ key, value, compare, type })
+ * @returns {boolean} Whether the clause matches
+ */
+function matchesMetaClause(values, clause) {
+  const compare = String(clause.compare || (typeof clause.value === 'object' ? 'IN' : '=')).toUpperCase();
+  const type = String(clause.type || 'CHAR').toUpperCase();
+  const cast = (value) => {
+    if (NUMERIC_META_TYPES.indexOf(type) !== -1) {
+      return parseFloat(value);
+    }
+
+    return ['DATE', 'DATETIME', 'TIME'].indexOf(type) !== -1 ? castDate(value, type) : String(value);
+  };
+
+  if (compare === 'EXISTS') {
+    return values.length > 0;
+  }
+
+  if (compare === 'NOT EXISTS') {
+    return values.length === 0;
+  }
+
+  const list = toList(clause.value).map(cast);
+  const value = cast(clause.value);
+  const pattern = ['REGEXP', 'RLIKE', 'NOT REGEXP'].indexOf(compare) !== -1 ? metaRegExp(clause.value) : null;
+
+  // Like the SQL join, only posts with the key can match, even for negative compares
+  return values.map(cast).some((meta_value) => {
+    // A value that can't be cast is NULL in SQL, which no compare matches
+    if (meta_value === null) {
+      return false;
+    }
+
+    switch (compare) {
+      case '=':
+        return meta_value === value;
+      case '!=':
+        return meta_value !== value;
+      case '>':
+        return meta_value > value;
+      case '>=':
+        return meta_value >= value;
+      case '<':
+        return meta_value < value;
+      case '<=':
+        return meta_value <= value;
+      case 'LIKE':
+        return String(meta_value).toLowerCase().indexOf(String(clause.value).toLowerCase()) !== -1;
+      case 'NOT LIKE':
+        return String(meta_value).toLowerCase().indexOf(String(clause.value).toLowerCase()) === -1;
+      case 'IN':
+        return list.indexOf(meta_value) !== -1;
+      case 'NOT IN':
+        return list.indexOf(meta_value) === -1;
+      case 'BETWEEN':
+        return meta_value >= list[0] && meta_value <= list[1];
+      case 'NOT BETWEEN':
+        return meta_value < list[0] || meta_value > list[1];
+      case 'REGEXP':
+      case 'RLIKE':
+        return pattern !== null && pattern.test(String(meta_value));
+      case 'NOT REGEXP':
+        return pattern !== null && !pattern.test(String(meta_value));
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Create a handler that answers REST API requests synchronously from fixtures.  This is the emulator without the transport, for
+ * querying collections that are already in memory.
+ * @function createRESTHandler
+ * @param {Object} fixtures
+ * @param {Array.<Object>} fixtures.posts Posts of any post type, as the REST API returns them.  type defaults to "post", title, excerpt and content may be strings, terms are listed by taxonomy REST base (e.g. categories: [3]) and post meta is in meta
+ * @param {Array.<Object>} fixtures.terms Terms of every taxonomy ({ id, name, taxonomy, slug, parent, count })
+ * @param {Array.<Object>} fixtures.media Attachments, embedded as wp:featuredmedia by featured_media
+ * @param {Array.<Object>} fixtures.users Users, embedded as author
+ * @param {Object} options
+ * @param {string} options.namespace The REST namespace to answer
+ * @param {Object} options.rest_bases REST bases for post types and taxonomies whose REST base isn't their name, keyed by name (e.g. { resource: 'resources' })
+ * @param {string} options.site_url The site URL, for links
+ * @param {boolean} options.published_only Whether post collections and search only include published posts, as they do for visitors who aren't logged in.
+ * Turn it off to query posts that were already fetched with the current user's permissions, such as their drafts and private posts
+ * @returns {function} A handler, (url) => { status, body, headers }
+ */
+export function createRESTHandler(
+  { posts = [], terms = [], media = [], users = [] } = {},
+  { namespace = 'wp/v2', rest_bases = {}, site_url = 'https://example.test', published_only = true } = {}
+) {
+  const postTypeBase = (type) => rest_bases[type] || POST_TYPE_REST_BASES[type] || type;
+  const taxonomyBase = (taxonomy) => rest_bases[taxonomy] || TAXONOMY_REST_BASES[taxonomy] || taxonomy;
+  const rendered = (field) => (field && field.rendered !== undefined ? field : { rendered: field || '' });
+
+  const all_posts = posts.map((post) => {
+    const type = post.type || 'post';
+    const slug = post.slug || slugify(post.title) || String(post.id);
+    const date = post.date || '2020-01-01T00:00:00';
+
+    return extend(
+      {
+        date: date,
+        date_gmt: date,
+        modified: post.modified || date,
+        modified_gmt: post.modified || date,
+        slug: slug,
+        status: 'publish',
+        type: type,
+        link: `${site_url}/${type === 'post' ? '' : type + '/'}${slug}/`,
+        author: 0,
+        featured_media: 0,
+        parent: 0,
+        meta: {},
+      },
+      post,
+      {
+        type: type,
+        slug: slug,
+        title: rendered(post.title),
+        excerpt: rendered(post.excerpt),
+        content: rendered(post.content),
+      }
+    );
+  });
+
+  const all_terms = terms.map((term) =>
+    extend(
+      {
+        slug: slugify(term.name) || String(term.id),
+        parent: 0,
+        description: '',
+        link: `${site_url}/${term.taxonomy}/${term.slug || slugify(term.name)}/`,
+      },
+      term,
+      {
+        count: term.count !== undefined ? term.count : all_posts.filter((post) => (post[taxonomyBase(term.taxonomy)] || []).indexOf(term.id) !== -1).length,
+      }
+    )
+  );
+
+  const taxonomy_bases = [];
+  all_terms.forEach((term) => {
+    if (taxonomy_bases.indexOf(taxonomyBase(term.taxonomy)) === -1) {
+      taxonomy_bases.push(taxonomyBase(term.taxonomy));
+    }
+  });
+
+  /**
+   * Get a term and all of its descendants
+   * @param {number} id The term ID
+   * @returns {Array.<number>} The term IDs
+   */
+  function withChildren(id) {
+    const children = all_terms.filter((term) => term.parent === id);
+
+    return [id].concat(...children.map((term) => withChildren(term.id)));
+  }
+
+  /**
+   * Get the search words, which must all match somewhere in the post
+   * @param {string} search The search string
+   * @returns {Array.<string>} The words
+   */
+  function searchWords(search) {
+    return String(search)
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether a post matches a search, the way WP_Query does: every word in the title, excerpt or content, and no "-" words
+   * @param {Object} post The post
+   * @param {string} search The search string
+   * @returns {boolean}
+   */
+  function matchesSearch(post, search) {
+    const haystack = [text(post.title), text(post.excerpt), text(post.content)];
+
+    return searchWords(search).every((word) => {
+      const exclude = word[0] === '-' && word.length > 1;
+      const found = haystack.some((field) => field.indexOf(exclude ? word.substring(1) : word) !== -1);
+
+      return exclude ? !found : found;
+    });
+  }
+
+  /**
+   * Rank a search match the way WP_Query orders by relevance.  Lower is better.
+   * @param {Object} post The post
+   * @param {string} search The search string
+   * @returns {number} The rank
+   */
+  function relevance(post, search) {
+    const phrase = String(search).toLowerCase().trim();
+    const words = searchWords(search);
+    const title = text(post.title);
+
+    if (title.indexOf(phrase) !== -1) {
+      return 1;
+    }
+    if (words.every((word) => title.indexOf(word) !== -1)) {
+      return 2;
+    }
+    if (words.some((word) => title.indexOf(word) !== -1)) {
+      return 3;
+    }
+    if (text(post.excerpt).indexOf(phrase) !== -1) {
+      return 4;
+    }
+    if (text(post.content).indexOf(phrase) !== -1) {
+      return 5;
+    }
+
+    return 6;
+  }
+
+  /**
+   * Whether a post matches a taxonomy clause
+   * @param {Object} post The post
+   * @param {Object} clause The clause ({ taxonomy, terms, operator, include_children })
+   * @returns {boolean}
+   */
+  function matchesTaxClause(post, clause) {
+    const post_terms = post[clause.taxonomy] || [];
+    const groups = clause.terms.map((id) => (clause.include_children ? withChildren(id) : [id]));
+    const has = (group) => group.some((id) => post_terms.indexOf(id) !== -1);
+
+    switch (clause.operator) {
+      case 'AND':
+        return groups.every(has);
+      case 'NOT IN':
+        return !groups.some(has);
+      default:
+        return groups.some(has);
+    }
+  }
+
+  /**
+   * Whether a post matches a meta_query group
+   * @param {Object} post The post
+   * @param {Object} group The group ({ relation, ...clauses })
+   * @returns {boolean}
+   */
+  function matchesMetaQuery(post, group) {
+    const results = [];
+
+    map(group, (clause, name) => {
+      if (name === 'relation' || !clause || typeof clause !== 'object') {
+        return;
+      }
+
+      if (clause.key !== undefined) {
+        results.push(matchesMetaClause([].concat(get(post.meta, clause.key, [])).filter((value) => value !== undefined && value !== null), clause));
+      } else {
+        results.push(matchesMetaQuery(post, clause));
+      }
+    });
+
+    if (results.length === 0) {
+      return true;
+    }
+
+    return String(group.relation || 'AND').toUpperCase() === 'OR' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  /**
+   * Get the taxonomy clauses for a posts query
+   * @param {Object} query The query params
+   * @returns {Array.<Object>} The clauses ({ taxonomy, terms, operator, include_children })
+   */
+  function taxClauses(query) {
+    const clauses = [];
+
+    taxonomy_bases.forEach((base) => {
+      [base, base + '_exclude'].forEach((key) => {
+        const param = query[key];
+
+        if (param === undefined) {
+          return;
+        }
+
+        const options = typeof param === 'object' && param.terms !== undefined ? param : { terms: param };
+        const ids = toIdList(options.terms);
+
+        if (ids.length === 0) {
+          return;
+        }
+
+        clauses.push({
+          taxonomy: base,
+          terms: ids,
+          operator: key === base ? String(options.operator || 'OR').toUpperCase() : 'NOT IN',
+          include_children: isTruthy(options.include_children),
+        });
+      });
+    });
+
+    return clauses;
+  }
+
+  /**
+   * Compare two posts for orderby
+   * @param {Object} a A post
+   * @param {Object} b A post
+   * @param {Object} query The query params
+   * @returns {number}
+   */
+  function comparePosts(a, b, query) {
+    const value = (post) => {
+      switch (query.orderby) {
+        case 'id':
+          return post.id;
+        case 'title':
+          return text(post.title);
+        case 'modified':
+          return new Date(post.modified).getTime();
+        case 'author':
+        case 'parent':
+        case 'slug':
+          return post[query.orderby];
+        case 'include':
+          return toIdList(query.include).indexOf(post.id);
+        case 'include_slugs':
+          return toList(query.slug).indexOf(post.slug);
+        case 'meta_value':
+          return String([].concat(get(post.meta, query.meta_key))[0]);
+        case 'meta_value_num':
+          return parseFloat([].concat(get(post.meta, query.meta_key))[0]) || 0;
+        default:
+          return new Date(post.date).getTime();
+      }
+    };
+
+    const a_value = value(a);
+    const b_value = value(b);
+    const result = a_value < b_value ? -1 : a_value > b_value ? 1 : 0;
+
+    return String(query.order).toLowerCase() === 'asc' ? result : -result;
+  }
+
+  /**
+   * Get the embedded resources for a post.  Embedded resources are always in the embed context
+   * @param {Object} post The post
+   * @param {Array.<string>|null} rels The rels to embed, or null for all of them
+   * @returns {Object} The _embedded object
+   */
+  function embedded(post, rels) {
+    const wants = (rel) => !rels || rels.indexOf(rel) !== -1;
+    const result = {};
+
+    const author = users.find((user) => user.id === post.author);
+    if (wants('author') && author) {
+      result.author = [forContext(author, 'embed', USER_VIEW_FIELDS)];
+    }
+
+    const featured_media = media.find((attachment) => attachment.id === post.featured_media);
+    if (wants('wp:featuredmedia') && featured_media) {
+      result['wp:featuredmedia'] = [forContext(featured_media, 'embed', POST_VIEW_FIELDS)];
+    }
+
+    const post_taxonomies = taxonomy_bases.filter((base) => post[base] !== undefined);
+    if (wants('wp:term') && post_taxonomies.length > 0) {
+      result['wp:term'] = post_taxonomies.map((base) =>
+        all_terms
+          .filter((term) => taxonomyBase(term.taxonomy) === base && post[base].indexOf(term.id) !== -1)
+          .map((term) => ({ id: term.id, link: term.link, name: term.name, slug: term.slug, taxonomy: term.taxonomy }))
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Prepare items for the response, limiting them to the fields in the context, embedding linked resources and limiting them to _fields
+   * @param {Array.<Object>} items The items
+   * @param {Object} query The query params
+   * @param {boolean} embeddable Whether the items can have embedded resources
+   * @param {Array.<string>} view_fields The fields that aren't in the embed context
+   * @returns {Array.<Object>} The response items
+   */
+  function prepareItems(items, query, embeddable, view_fields) {
+    const context = query.context || 'view';
+    const fields = toList(query._fields);
+    const embed = embeddable && query._embed !== undefined;
+    const rels = embed && !isTruthy(query._embed) && query._embed !== '' ? toList(query._embed) : null;
+
+    return items.map((item) => {
+      let prepared = extend({}, forContext(item, context, view_fields));
+
+      if (embed && (fields.length === 0 || fields.indexOf('_embedded') !== -1 || fields.indexOf('_links') !== -1)) {
+        const item_embedded = embedded(item, rels);
+
+        if (Object.keys(item_embedded).length > 0) {
+          prepared._embedded = item_embedded;
+        }
+      }
+
+      if (fields.length > 0) {
+        const limited = {};
+
+        fields.forEach((field) => {
+          const path = field.split('.');
+
+          if (get(prepared, path) !== undefined) {
+            limited[path[0]] = path.length === 1 ? prepared[path[0]] : extend(limited[path[0]] || {}, { [path[1]]: get(prepared, path) });
+          }
+        });
+
+        // Asking for _links keeps the embedded resources, as it does in WordPress
+        if (prepared._embedded && fields.indexOf('_links') !== -1) {
+          limited._embedded = prepared._embedded;
+        }
+
+        prepared = limited;
+      }
+
+      return prepared;
+    });
+  }
+
+  /**
+   * Paginate a collection into a response
+   * @param {Array.<Object>} items Every matching item, in order
+   * @param {Object} query The query params
+   * @param {string} invalid_page_code The error code for a page past the last page
+   * @param {boolean} embeddable Whether the items can have embedded resources
+   * @param {Array.<string>} view_fields The fields that aren't in the embed context
+   * @returns {Object} The response
+   */
+  function paginate(items, query, invalid_page_code, embeddable, view_fields) {
+    const per_page = query.per_page !== undefined ? parseInt(query.per_page) : 10;
+    const page = query.page !== undefined ? parseInt(query.page) : 1;
+
+    if (isNaN(per_page) || per_page < 1 || per_page > 100) {
+      return errorResponse(400, 'rest_invalid_param', 'Invalid parameter(s): per_page');
+    }
+
+    if (isNaN(page) || page < 1) {
+      return errorResponse(400, 'rest_invalid_param', 'Invalid parameter(s): page');
+    }
+
+    const total_pages = Math.ceil(items.length / per_page);
+
+    if (page > total_pages && items.length > 0) {
+      return errorResponse(400, invalid_page_code, 'The page number requested is larger than the number of pages available.');
+    }
+
+    return createResponse(200, prepareItems(items.slice((page - 1) * per_page, page * per_page), query, embeddable, view_fields), {
+      'x-wp-total': items.length,
+      'x-wp-totalpages': total_pages,
+    });
+  }
+
+  /**
+   * Answer a posts collection request
+   * @param {string} base The post type's REST base
+   * @param {Object} query The query params
+   * @returns {Object} The response
+   */
+  function queryPosts(base, query) {
+    const orderby = query.orderby || (query.search ? 'relevance' : 'date');
+
+    if (POST_ORDERBYS.indexOf(orderby) === -1) {
+      return errorResponse(400, 'rest_invalid_param', 'Invalid parameter(s): orderby');
+    }
+
+    if (orderby === 'relevance' && !query.search) {
+      return errorResponse(400, 'rest_no_search_term_defined', 'You need to define a search term to order by relevance.');
+    }
+
+    // The date params are validated as RFC 3339 date-times, so a date on its own is rejected
+    const invalid_date = DATE_PARAMS.find((param) => query[param] !== undefined && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(query[param]));
+
+    if (invalid_date) {
+      return errorResponse(400, 'rest_invalid_param', `Invalid parameter(s): ${invalid_date}`);
+    }
+
+    // Like WP_Date_Query, after and before are exclusive
+    const date_filters = DATE_PARAMS.filter((param) => query[param] !== undefined).map((param) => ({
+      column: param.indexOf('modified') === 0 ? 'modified' : 'date',
+      after: /after$/.test(param),
+      value: castDate(query[param], 'DATETIME'),
+    }));
+
+    const include = toIdList(query.include);
+    const exclude = toIdList(query.exclude);
+    const authors = toIdList(query.author);
+    const slugs = toList(query.slug);
+    const tax_clauses = taxClauses(query);
+    const tax_or = String(query.tax_relation || 'AND').toUpperCase() === 'OR';
+
+    const items = all_posts.filter((post) => {
+      if (postTypeBase(post.type) !== base || (published_only && post.status !== 'publish')) {
+        return false;
+      }
+      if (query.search && !matchesSearch(post, query.search)) {
+        return false;
+      }
+      if ((include.length > 0 && include.indexOf(post.id) === -1) || exclude.indexOf(post.id) !== -1) {
+        return false;
+      }
+      if ((authors.length > 0 && authors.indexOf(post.author) === -1) || (slugs.length > 0 && slugs.indexOf(post.slug) === -1)) {
+        return false;
+      }
+      if (tax_clauses.length > 0) {
+        const matches = tax_clauses.map((clause) => matchesTaxClause(post, clause));
+
+        if (tax_or ? !matches.some(Boolean) : !matches.every(Boolean)) {
+          return false;
+        }
+      }
+      if (
+        !date_filters.every((filter) => {
+          const post_date = castDate(post[filter.column], 'DATETIME');
+
+          return filter.after ? post_date > filter.value : post_date < filter.value;
+        })
+      ) {
+        return false;
+      }
+      // Setting meta_key limits the query to posts with that key, as it does in WP_Query
+      if (query.meta_key && get(post.meta, query.meta_key) === undefined) {
+        return false;
+      }
+
+      return !query.meta_query || matchesMetaQuery(post, query.meta_query);
+    });
+
+    if (orderby === 'relevance') {
+      items.sort((a, b) => relevance(a, query.search) - relevance(b, query.search) || comparePosts(a, b, { orderby: 'date', order: 'desc' }));
+    } else {
+      items.sort((a, b) => comparePosts(a, b, extend({}, query, { orderby: orderby, order: query.order || 'desc' })));
+    }
+
+    return paginate(items, query, 'rest_post_invalid_page_number', true, POST_VIEW_FIELDS.concat(taxonomy_bases));
+  }
+
+  /**
+   * Answer a terms collection request
+   * @param {string} base The taxonomy's REST base
+   * @param {Object} query The query params
+   * @returns {Object} The response
+   */
+  function queryTerms(base, query) {
+    const orderby = query.orderby || 'name';
+
+    if (TERM_ORDERBYS.indexOf(orderby) === -1) {
+      return errorResponse(400, 'rest_invalid_param', 'Invalid parameter(s): orderby');
+    }
+
+    const include = toIdList(query.include);
+    const exclude = toIdList(query.exclude);
+    const slugs = toList(query.slug);
+    const post_id = parseInt(query.post);
+    const post = all_posts.find((item) => item.id === post_id);
+
+    const items = all_terms.filter((term) => {
+      if (taxonomyBase(term.taxonomy) !== base) {
+        return false;
+      }
+      if ((include.length > 0 && include.indexOf(term.id) === -1) || exclude.indexOf(term.id) !== -1) {
+        return false;
+      }
+      if (slugs.length > 0 && slugs.indexOf(term.slug) === -1) {
+        return false;
+      }
+      if (query.parent !== undefined && term.parent !== parseInt(query.parent)) {
+        return false;
+      }
+      if (isTruthy(query.hide_empty) && term.count === 0) {
+        return false;
+      }
+      if (query.post !== undefined && (!post || (post[base] || []).indexOf(term.id) === -1)) {
+        return false;
+      }
+
+      return !query.search || (term.name + ' ' + term.slug).toLowerCase().indexOf(String(query.search).toLowerCase()) !== -1;
+    });
+
+    items.sort((a, b) => {
+      const value = (term) => {
+        switch (orderby) {
+          case 'include':
+            return include.indexOf(term.id);
+          case 'include_slugs':
+            return slugs.indexOf(term.slug);
+          case 'name':
+          case 'slug':
+          case 'description':
+            return String(term[orderby]).toLowerCase();
+          default:
+            return term[orderby];
+        }
+      };
+      const result = value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0;
+
+      return String(query.order || 'asc').toLowerCase() === 'desc' ? -result : result;
+    });
+
+    return paginate(items, query, 'rest_term_invalid_page_number', false, TERM_VIEW_FIELDS);
+  }
+
+  /**
+   * Answer a /wp/v2/search request for posts
+   * @param {Object} query The query params
+   * @returns {Object} The response
+   */
+  function search(query) {
+    const subtypes = toList(query.subtype || 'any');
+
+    if (query.type && query.type !== 'post') {
+      return createResponse(200, [], { 'x-wp-total': 0, 'x-wp-totalpages': 0 });
+    }
+
+    const items = all_posts
+      .filter((post) => (!published_only || post.status === 'publish') && post.type !== 'attachment')
+      .filter((post) => subtypes.indexOf('any') !== -1 || subtypes.indexOf(post.type) !== -1)
+      .filter((post) => !query.search || matchesSearch(post, query.search))
+      .sort((a, b) => (query.search ? relevance(a, query.search) - relevance(b, query.search) : 0) || comparePosts(a, b, { orderby: 'date', order: 'desc' }))
+      .map((post) => ({ id: post.id, title: post.title.rendered, url: post.link, type: 'post', subtype: post.type }));
+
+    return paginate(items, query, 'rest_search_invalid_page_number', false, []);
+  }
+
+  /**
+   * Route a request
+   * @param {URL} url The request URL
+   * @returns {Object} The response
+   */
+  function respond(url) {
+    let route = url.searchParams.get('rest_route');
+
+    if (route === null) {
+      const root_index = url.pathname.indexOf('/wp-json/');
+      route = root_index === -1 ? url.pathname : url.pathname.substring(root_index + '/wp-json'.length);
+    }
+
+    route = route.replace(/^\/+|\/+$/g, '');
+    const prefix = namespace.replace(/^\/+|\/+$/g, '') + '/';
+    const base = route.indexOf(prefix) === 0 ? route.substring(prefix.length) : null;
+    const query = parseQuery(url.searchParams);
+    delete query.rest_route;
+
+    if (query.context !== undefined && CONTEXTS.indexOf(query.context) === -1) {
+      return errorResponse(400, 'rest_invalid_param', 'Invalid parameter(s): context');
+    }
+
+    if (base === 'search') {
+      return search(query);
+    }
+
+    if (base && taxonomy_bases.indexOf(base) !== -1) {
+      return queryTerms(base, query);
+    }
+
+    if (base && all_posts.some((post) => postTypeBase(post.type) === base)) {
+      return queryPosts(base, query);
+    }
+
+    return errorResponse(404, 'rest_no_route', 'No route was found matching the URL and request method.');
+  }
+
+  return (url) => {
+    try {
+      return respond(new URL(String(url), site_url));
+    } catch (error) {
+      return errorResponse(500, 'rest_emulator_error', error.message);
+    }
+  };
+}
+
+/**
+ * Create an in-memory WordPress REST API
+ * @function createRESTEmulator
+ * @param {Object} fixtures The posts, terms, media and users.  See createRESTHandler()
+ * @param {Object} options
+ * @param {string} options.namespace The REST namespace to answer
+ * @param {Object} options.rest_bases REST bases for post types and taxonomies whose REST base isn't their name, keyed by name (e.g. { resource: 'resources' })
+ * @param {string} options.site_url The site URL, for links
+ * @param {number} options.latency How long to wait before responding, in milliseconds
+ * @param {number} options.max_requests How many of the latest requested URLs to keep in the transport's requests array.  0 turns the log off
+ * @returns {function} A transport, (url, options) => Promise.<Response>.  The latest requested URLs are logged in its requests array
+ */
+export function createRESTEmulator(fixtures, { namespace = 'wp/v2', rest_bases = {}, site_url = 'https://example.test', latency = 0, max_requests = 100 } = {}) {
+  const handle = createRESTHandler(fixtures, { namespace: namespace, rest_bases: rest_bases, site_url: site_url });
+  const transport = (url, options = {}) =>
+    new Promise((resolve, reject) => {
+      const signal = options.signal;
+      const abort = () => {
+        clearTimeout(timeout);
+        const error = new Error('The request was aborted');
+        error.name = 'AbortError';
+        reject(error);
+      };
+
+      if (max_requests > 0) {
+        transport.requests.push(String(url));
+        transport.requests.splice(0, transport.requests.length - max_requests);
+      }
+
+      const timeout = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', abort);
+        }
+
+        resolve(toFetchResponse(handle(url)));
+      }, latency);
+
+      if (signal && signal.aborted) {
+        abort();
+      } else if (signal) {
+        signal.addEventListener('abort', abort);
+      }
+    });
+
+  transport.requests = [];
+
+  return transport;
+}
@@ -0,0 +1,114 @@
+<?php
+/**
+ * Companion snippet for vue-wp-resource-library meta filters and meta ordering.
+ *
+ * The WP REST API ignores meta_query and rejects meta_value ordering out of the box.  Drop this into a plugin or
+ * your theme's functions.php and list the post types and meta keys the library is allowed to query.
+ *
+ * Contract: the library sends the meta query as PHP style bracket params in the same nested shape as WP_Meta_Query,
+ * e.g. ?meta_query[relation]=AND&meta_query[0][key]=price&meta_query[0][compare]=BETWEEN&meta_query[0][value][0]=10
+ * &meta_query[0][value][1]=50&meta_query[0][type]=NUMERIC&meta_query[1][relation]=OR&meta_query[1][0][key]=...
+ * Each clause has key, compare, value (omitted for EXISTS / NOT EXISTS) and an optional type.  Groups have a relation
+ * and numerically indexed clauses or groups.  Ordering on meta sends orderby=meta_value or meta_value_num with meta_key.
+ */
+
+const RESOURCE_LIBRARY_POST_TYPES = array( 'post' );
+const RESOURCE_LIBRARY_META_KEYS  = array( 'price', 'region', 'has_video', 'featured' );
+
+/**
+ * Sanitize a meta query group from the request, dropping anything that isn't explicitly allowed.
+ *
+ * @param array $group The group from the request.
+ * @param int   $depth How deeply nested the group is.
+ * @return array The sanitized group, ready for WP_Query.
+ */
+function resource_library_sanitize_meta_query( $group, $depth = 0 ) {
+	$compares = array( '=', '!=', '>', '>=', '<', '<=', 'LIKE', 'NOT LIKE', 'IN', 'NOT IN', 'BETWEEN', 'NOT BETWEEN', 'EXISTS', 'NOT EXISTS', 'REGEXP', 'NOT REGEXP', 'RLIKE' );
+	$types    = array( 'NUMERIC', 'BINARY', 'CHAR', 'DATE', 'DATETIME', 'DECIMAL', 'SIGNED', 'TIME', 'UNSIGNED' );
+	$query    = array();
+
+	if ( ! is_array( $group ) || $depth > 3 ) {
+		return $query;
+	}
+
+	foreach ( $group as $index => $clause ) {
+		if ( 'relation' === $index || ! is_array( $clause ) ) {
+			continue;
+		}
+
+		if ( ! isset( $clause['key'] ) ) {
+			$nested = resource_library_sanitize_meta_query( $clause, $depth + 1 );
+
+			if ( $nested ) {
+				$query[] = $nested;
+			}
+			continue;
+		}
+
+		if ( ! in_array( $clause['key'], RESOURCE_LIBRARY_META_KEYS, true ) ) {
+			continue;
+		}
+
+		$compare = isset( $clause['compare'] ) ? strtoupper( $clause['compare'] ) : '=';
+		if ( ! in_array( $compare, $compares, true ) ) {
+			continue;
+		}
+
+		$sanitized = array(
+			'key'     => $clause['key'],
+			'compare' => $compare,
+		);
+
+		if ( isset( $clause['value'] ) ) {
+			$sanitized['value'] = is_array( $clause['value'] )
+				? array_map( 'sanitize_text_field', array_values( $clause['value'] ) )
+				: sanitize_text_field( $clause['value'] );
+		}
+
+		if ( isset( $clause['type'] ) && in_array( strtoupper( $clause['type'] ), $types, true ) ) {
+			$sanitized['type'] = strtoupper( $clause['type'] );
+		}
+
+		$query[] = $sanitized;
+	}
+
+	if ( $query ) {
+		$query['relation'] = isset( $group['relation'] ) && 'OR' === strtoupper( $group['relation'] ) ? 'OR' : 'AND';
+	}
+
+	return $query;
+}
+
+foreach ( RESOURCE_LIBRARY_POST_TYPES as $resource_library_post_type ) {
+	// Pass meta_query and meta_key through to WP_Query.
+	add_filter(
+		"rest_{$resource_library_post_type}_query",
+		function ( $args, $request ) {
+			$meta_query = resource_library_sanitize_meta_query( $request->get_param( 'meta_query' ) );
+
+			if ( $meta_query ) {
+				$args['meta_query'] = $meta_query;
+			}
+
+			$meta_key = $request->get_param( 'meta_key' );
+			if ( $meta_key && in_array( $meta_key, RESOURCE_LIBRARY_META_KEYS, true ) ) {
+				$args['meta_key'] = $meta_key;
+			}
+
+			return $args;
+		},
+		10,
+		2
+	);
+
+	// Allow ordering on meta values.
+	add_filter(
+		"rest_{$resource_library_post_type}_collection_params",
+		function ( $params ) {
+			$params['orderby']['enum'][] = 'meta_value';
+			$params['orderby']['enum'][] = 'meta_value_num';
+
+			return $params;
+		}
+	);
+}
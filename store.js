@@ -0,0 +1,3766 @@
+import { get, map, range, extend, cloneDeep, merge, isEqual, isPlainObject, debounce } from 'lodash';
+import { createQueryCache } from './query-cache';
+import { createHistoryAdapter } from './history-adapters';
+import { ResourceLibraryError, RequestError } from './errors';
+import { normalizeResource, forPostType } from './transformers';
+import { createPresetStore } from './presets';
+
+/**
+ * The Resource Library without a framework: params, query translation, the pagination window and history sync.  The Vue 2 mixin and
+ * the Vue 3 useResourceLibrary() composable are built on it, and it can drive vanilla JS widgets directly.  State is read only and
+ * changed with the methods, and subscribers are told after every batch of changes.
+ * @module Store
+ * @example
+ * const library = createResourceLibrary({ post_type: 'resources', per_page: 12 });
+ * library.subscribe((state) => render(state.resources, state.pagination));
+ * library.selectPage(2);
+ */
+
+/**
+ * The props, in Vue's format.  See the ResourceLibrary namespace for what each one does
+ */
+export const PROPS = {
+  ver: {
+    type: Number,
+    default: 1,
+  },
+  post_type: {
+    type: String,
+    default: 'posts',
+  },
+  post_types: {
+    type: Array,
+    default() {
+      return [];
+    },
+  },
+  client_side: {
+    type: Boolean,
+    default: false,
+  },
+  per_page: {
+    type: Number,
+    default: 10,
+  },
+  meta_fields: {
+    type: Object,
+    default() {
+      return {};
+    },
+  },
+  initial_page: {
+    type: Number,
+    default: 1,
+  },
+  initial_search: {
+    type: String,
+    default: '',
+  },
+  initial_order: {
+    type: String,
+    default: 'desc',
+  },
+  initial_orderby: {
+    type: String,
+    default: 'date',
+  },
+  initial_taxonomies: {
+    type: Object,
+    default() {
+      return {};
+    },
+  },
+  initial_tax_exclude: {
+    type: Object,
+    default() {
+      return {};
+    },
+  },
+  initial_tax_options: {
+    type: Object,
+    default() {
+      return {};
+    },
+  },
+  initial_tax_relation: {
+    type: String,
+    default: 'AND',
+  },
+  initial_meta_query: {
+    type: Object,
+    default() {
+      return {};
+    },
+  },
+  initial_date_range: {
+    type: Object,
+    default() {
+      return {};
+    },
+  },
+  cache: {
+    type: Boolean,
+    default: true,
+  },
+  cache_storage: {
+    type: String,
+    default: 'memory',
+  },
+  cache_ttl: {
+    type: Number,
+    default: 5 * 60 * 1000,
+  },
+  cache_max_entries: {
+    type: Number,
+    default: 50,
+  },
+  cache_refresh: {
+    type: Boolean,
+    default: false,
+  },
+  load_more: {
+    type: Boolean,
+    default: false,
+  },
+  api_root: {
+    type: String,
+    default: '/wp-json/',
+  },
+  api_namespace: {
+    type: String,
+    default: 'wp/v2',
+  },
+  api_route: {
+    type: String,
+    default: '',
+  },
+  nonce: {
+    type: String,
+    default: '',
+  },
+  authorization: {
+    type: String,
+    default: '',
+  },
+  credentials: {
+    type: String,
+    default: 'same-origin',
+  },
+  fields: {
+    type: Array,
+    default() {
+      return [];
+    },
+  },
+  embed: {
+    type: [Boolean, Array],
+    default: true,
+  },
+  load_terms: {
+    type: Boolean,
+    default: false,
+  },
+  terms_query: {
+    type: Object,
+    default() {
+      return {};
+    },
+  },
+  url_keys: {
+    type: Object,
+    default() {
+      return {};
+    },
+  },
+  url_term_slugs: {
+    type: Boolean,
+    default: false,
+  },
+  namespace: {
+    type: String,
+    default: '',
+  },
+  history_mode: {
+    type: [String, Object],
+    default: 'browser',
+  },
+  replace_history_params: {
+    type: Array,
+    default() {
+      return [];
+    },
+  },
+  live_search: {
+    type: Boolean,
+    default: false,
+  },
+  search_debounce: {
+    type: Number,
+    default: 300,
+  },
+  search_min_length: {
+    type: Number,
+    default: 3,
+  },
+  search_suggestions: {
+    type: Boolean,
+    default: false,
+  },
+  suggestions_source: {
+    type: String,
+    default: 'search',
+  },
+  suggestions_subtype: {
+    type: String,
+    default: '',
+  },
+  suggestions_count: {
+    type: Number,
+    default: 5,
+  },
+  retries: {
+    type: Number,
+    default: 2,
+  },
+  retry_delay: {
+    type: Number,
+    default: 500,
+  },
+  middleware: {
+    type: Array,
+    default() {
+      return [];
+    },
+  },
+  transformers: {
+    type: Array,
+    default() {
+      return [];
+    },
+  },
+  placeholder_image: {
+    type: String,
+    default: '',
+  },
+  prefetch: {
+    type: Boolean,
+    default: false,
+  },
+  prefetch_concurrency: {
+    type: Number,
+    default: 2,
+  },
+  initial_data: {
+    type: Object,
+    default: null,
+  },
+  server_url: {
+    type: String,
+    default: '/',
+  },
+  transport: {
+    type: Function,
+    default: null,
+  },
+  pagination_window: {
+    type: Number,
+    default: 9,
+  },
+  pagination_boundary: {
+    type: Number,
+    default: 1,
+  },
+  pagination_labels: {
+    type: Object,
+    default() {
+      return {};
+    },
+  },
+  presets_storage: {
+    type: [String, Object],
+    default: 'local',
+  },
+  presets_key: {
+    type: String,
+    default: '',
+  },
+};
+
+/**
+ * The events passed to on(), and emitted by the mixin
+ */
+export const EVENTS = ['before-fetch', 'loaded', 'error', 'params-change', 'page-change'];
+
+/**
+ * Get the initial state
+ * @param {Object} props The props
+ * @returns {Object} The state
+ */
+function initialState(props) {
+  return {
+    wp_data: {}, // WP data holds the raw Wordpress REST response.  Massaged data is in the computed data property
+    pagination_data: {
+      total: 0,
+      total_pages: 0,
+    },
+    params: {},
+    error: null, // A RequestError if the latest query failed.  Call retry() to run it again
+    loading: true,
+    loadingMore: false, // Whether the next page is being appended in load_more mode
+    taxonomy_terms: {}, // All terms for each filterable taxonomy, keyed by taxonomy.  Only loaded when load_terms is set
+    terms_loading: false,
+    terms_error: null,
+    search_input: '', // The search field's value, for live_search and search_suggestions.  Set it with setSearchInput().  Kept in sync with params.search
+    suggestions: [], // Autocomplete suggestions for search_input ({ id, title, url, type })
+    suggestions_loading: false,
+    active_suggestion: -1, // Index of the suggestion highlighted with the keyboard
+    resource_transformers: props.transformers.slice(), // Transformers run by resources.  Add to it with addTransformer()
+    presets: [], // Saved presets ({ name, params, saved }).  See savePreset()
+  };
+}
+
+/**
+ * State computed from props and state when it's read
+ */
+const computed = {
+  // Processes things like orderby to use a meta query
+  query_params() {
+    return this.__queryParams(this.params);
+  },
+
+  // The REST items as resources, with the transformers run on them.  wp_data is never modified
+  resources() {
+    return map(this.wp_data, (item) =>
+      normalizeResource(item, this.resource_transformers, { placeholder_image: this.placeholder_image, taxonomy_terms: this.taxonomy_terms })
+    );
+  },
+
+  // Whether there are more pages to load with loadMore()
+  hasMore() {
+    return this.params.pagenum < this.pagination_data.total_pages;
+  },
+
+  // The loaded terms for each taxonomy arranged in a tree
+  term_trees() {
+    const trees = {};
+
+    map(this.taxonomy_terms, (terms, taxonomy) => {
+      const nodes = {};
+      trees[taxonomy] = [];
+
+      terms.forEach((term) => {
+        nodes[term.id] = extend({}, term, { children: [] });
+      });
+
+      terms.forEach((term) => {
+        if (term.parent && nodes[term.parent]) {
+          nodes[term.parent].children.push(nodes[term.id]);
+        } else {
+          trees[taxonomy].push(nodes[term.id]);
+        }
+      });
+    });
+
+    return trees;
+  },
+
+  // Page numbers to show, with "&hellip;" for gaps.  Kept for older templates
+  pages() {
+    return this.__pageWindow().map((page) => (page === null ? '&hellip;' : page));
+  },
+
+  // Pagination items to render: first, prev, the pages in the window with gaps, next and last
+  pagination() {
+    const total_pages = this.pagination_data.total_pages;
+
+    if (total_pages === 0) {
+      return [];
+    }
+
+    const labels = extend({}, this.__default_pagination_labels, this.pagination_labels);
+    const current_page = this.params.pagenum;
+    const label = (template, page) => template.replace('{page}', page);
+    const control = (type, page, text, disabled) => ({
+      key: type,
+      type: type,
+      page: page,
+      current: false,
+      disabled: disabled,
+      text: text,
+      aria_label: labels[type],
+    });
+
+    let gaps = 0;
+    const items = this.__pageWindow().map((page) => {
+      if (page === null) {
+        return { key: 'gap-' + ++gaps, type: 'gap', page: null, current: false, disabled: true, text: '…', aria_label: labels.gap };
+      }
+
+      return {
+        key: 'page-' + page,
+        type: 'page',
+        page: page,
+        current: page === current_page,
+        disabled: false,
+        text: String(page),
+        aria_label: label(page === current_page ? labels.current : labels.page, page),
+      };
+    });
+
+    return [control('first', 1, '«', current_page <= 1), control('prev', Math.max(1, current_page - 1), '‹', current_page <= 1)].concat(items, [
+      control('next', Math.min(total_pages, current_page + 1), '›', current_page >= total_pages),
+      control('last', total_pages, '»', current_page >= total_pages),
+    ]);
+  },
+
+  // The results being shown, for "Showing 11–20 of 134"
+  page_range() {
+    const total = this.pagination_data.total;
+    const shown = this.wp_data.length || 0;
+    // In load_more mode every page up to the current one is shown
+    const start = shown === 0 ? 0 : this.load_more ? 1 : (this.params.pagenum - 1) * this.per_page + 1;
+    const end = shown === 0 ? 0 : start + shown - 1;
+    const template = extend({}, this.__default_pagination_labels, this.pagination_labels).range;
+
+    return {
+      start: start,
+      end: end,
+      total: total,
+      label: template.replace('{start}', start).replace('{end}', end).replace('{total}', total),
+    };
+  },
+};
+
+/**
+ * The computed properties, which are read only on the library
+ */
+export const COMPUTED = Object.keys(computed);
+
+/**
+ * The library methods.  Each runs with the library as this
+ */
+export const methods = {
+  /**
+   * Override in order to call method after component is created
+   * @function afterCreated
+   */
+  afterCreated() {
+    return;
+  },
+  /**
+   * Override in order to call method on initial load
+   * @function onInitialLoad
+   */
+  onInitialLoad() {
+    return;
+  },
+  /**
+   * Override in order to call method after params change but not on initial load
+   * @function onParamsChange
+   */
+  onParamsChange() {
+    return;
+  },
+  /**
+   * Build the url for a route in the configured REST namespace, taking the API root into account
+   * @function constructEndpointURL
+   * @param {string} route The route within the namespace (e.g. "categories")
+   * @returns {URL} The endpoint url, without any query params
+   */
+  constructEndpointURL(route) {
+    const trim = (path) => path.replace(/^\/+|\/+$/g, '');
+    const path = [trim(this.api_namespace), trim(route)].filter(Boolean).join('/');
+
+    // Without a window (e.g. server side rendering) there's no page URL to resolve a relative API root against
+    if (typeof location === 'undefined' && !/^[a-z][a-z\d+.-]*:\/\//i.test(this.api_root)) {
+      throw new ResourceLibraryError('api_root must be an absolute URL when there is no window');
+    }
+
+    const endpointURL = new URL(this.api_root, typeof location !== 'undefined' ? location.origin : undefined);
+
+    // Sites without pretty permalinks take the route as a query param instead of a path
+    if (endpointURL.searchParams.has('rest_route')) {
+      endpointURL.searchParams.set('rest_route', '/' + [trim(endpointURL.searchParams.get('rest_route')), path].filter(Boolean).join('/'));
+    } else {
+      endpointURL.pathname = endpointURL.pathname.replace(/\/*$/, '/') + path;
+    }
+
+    return endpointURL;
+  },
+  /**
+   * Get the options to pass to fetch, including authentication headers and credentials
+   * @function requestOptions
+   * @param {AbortSignal} signal Signal to cancel the request with
+   * @returns {Object} Options for fetch
+   */
+  requestOptions(signal) {
+    const headers = {};
+
+    if (this.nonce) {
+      headers['X-WP-Nonce'] = this.nonce;
+    }
+
+    if (this.authorization) {
+      headers['Authorization'] = this.authorization;
+    }
+
+    return {
+      headers: headers,
+      credentials: this.credentials,
+      signal: signal,
+    };
+  },
+  /**
+   * Internal function to translate params into the query params the REST API expects, e.g. orderby on a meta field into a meta query.  Do not call directly.
+   * @function __queryParams
+   * @private
+   * @param {Object} params The params
+   * @returns {Object} The query params
+   */
+  __queryParams(params) {
+    let query_params = extend({}, params);
+
+    let orderby = params.orderby;
+
+    // Translate pagenum to page because WordPress likes to try to be smart about that param
+    if (query_params.pagenum) {
+      query_params.page = query_params.pagenum;
+      delete query_params.pagenum;
+    }
+
+    if (this.meta_fields[orderby] === 'number') {
+      query_params.orderby = 'meta_value_num';
+      query_params.meta_key = orderby;
+    } else if (this.meta_fields[orderby]) {
+      query_params.orderby = 'meta_value';
+      query_params.meta_key = orderby;
+    } else if (this.__valid_orderbys.indexOf(orderby) === -1) {
+      throw new ResourceLibraryError('Orderby must be one of: ' + this.__valid_orderbys.join(', ') + ', or a postmeta field');
+    }
+
+    // Translate taxonomy options and exclusions into the term objects the REST API expects
+    delete query_params.tax_options;
+    delete query_params.tax_exclude;
+
+    map(params.tax_options, (options, taxonomy) => {
+      if (query_params[taxonomy] && query_params[taxonomy].length > 0) {
+        query_params[taxonomy] = extend({ terms: query_params[taxonomy] }, options);
+      }
+    });
+
+    map(params.tax_exclude, (terms, taxonomy) => {
+      if (terms.length === 0) {
+        return;
+      }
+
+      const include_children = get(params.tax_options, [taxonomy, 'include_children']);
+      query_params[`${taxonomy}_exclude`] = include_children ? { terms: terms, include_children: true } : terms;
+    });
+
+    // WordPress's date params are exclusive and need a time, so widen dates without a time to take in the whole day
+    ['after', 'before', 'modified_after', 'modified_before'].forEach((key) => {
+      if (!query_params[key]) {
+        delete query_params[key];
+      } else if (query_params[key].length === 10) {
+        const after = key === 'after' || key === 'modified_after';
+        query_params[key] = this.__shiftDate(query_params[key], after ? -1 : 1) + (after ? 'T23:59:59' : 'T00:00:00');
+      }
+    });
+
+    // Translate the meta query into the nested array shape WP_Meta_Query expects
+    const meta_query = this.__translateMetaQuery(query_params.meta_query);
+    if (meta_query) {
+      query_params.meta_query = meta_query;
+    } else {
+      delete query_params.meta_query;
+    }
+
+    return query_params;
+  },
+  /**
+   * Build the url for the WP API
+   * @param {number} [page] The page to build the url for.  Defaults to the current page
+   * @param {Object} [params] The params to build the url for.  Defaults to the current params
+   * @param {string} [route] The route to build the url for.  Defaults to api_route or post_type
+   * @returns {string} a constructed url for the WP API based on the query params.
+   */
+  constructURL(page, params, route) {
+    try {
+      const apiURL = this.constructEndpointURL(route || this.api_route || this.post_type);
+      apiURL.searchParams.append('context', this.__context());
+      this.__appendEmbed(apiURL.searchParams);
+
+      const fields = this.__fields(params);
+      if (fields.length > 0) {
+        apiURL.searchParams.append('_fields', fields.join(','));
+      }
+
+      let query_params = params ? this.__queryParams(params) : this.query_params;
+      query_params = page ? extend({}, query_params, { page: page }) : query_params;
+
+      for (const key in query_params) {
+        if (Object.hasOwnProperty.call(query_params, key)) {
+          this.__appendSearchParam(apiURL.searchParams, key, query_params[key]);
+        }
+      }
+      return apiURL;
+    } catch (error) {
+      throw error instanceof ResourceLibraryError ? error : new ResourceLibraryError(error.message || String(error));
+    }
+  },
+  /**
+   * Internal function to get the context to request results in.  The embed context is the smallest, but leaves out fields such as meta, modified and term IDs.  Do not call directly.
+   * @function __context
+   * @private
+   * @returns {string} "embed" or "view"
+   */
+  __context() {
+    // Merged results are sorted on the raw items, which need meta and modified to sort on
+    if (this.post_types.length > 0) {
+      return 'view';
+    }
+
+    // Without wp:term embedded, terms come from the term IDs on each item
+    if (this.fields.length === 0) {
+      const embeds_terms = this.embed === true || (this.embed instanceof Array && this.embed.indexOf('wp:term') !== -1);
+
+      return embeds_terms || Object.keys(this.initial_taxonomies).length === 0 ? 'embed' : 'view';
+    }
+
+    return this.fields.some((field) => this.__embed_fields.indexOf(field.split('.')[0]) === -1) ? 'view' : 'embed';
+  },
+  /**
+   * Internal function to append the _embed param for the embed prop.  Do not call directly.
+   * @function __appendEmbed
+   * @private
+   * @param {URLSearchParams} searchParams The params to append to
+   */
+  __appendEmbed(searchParams) {
+    if (this.embed === true) {
+      searchParams.append('_embed', 1);
+    } else if (this.embed && this.embed.length > 0) {
+      searchParams.append('_embed', this.embed.join(','));
+    }
+  },
+  /**
+   * Internal function to get the fields to request, with the fields the library needs added.  Do not call directly.
+   * @function __fields
+   * @private
+   * @param {Object} [params] The params.  Defaults to the current params
+   * @returns {Array.<string>} The fields, or an empty array for every field
+   */
+  __fields(params) {
+    if (this.fields.length === 0) {
+      return [];
+    }
+
+    const fields = ['id'].concat(this.fields);
+
+    // WordPress leaves out embedded resources unless they're asked for too
+    if (this.embed === true || (this.embed && this.embed.length > 0)) {
+      fields.push('_links', '_embedded');
+    }
+
+    // Merging post types sorts on the raw items, so they need the field to sort on
+    if (this.post_types.length > 0) {
+      const orderby = (params || this.params).orderby;
+
+      fields.push('type', this.meta_fields[orderby] ? `meta.${orderby}` : orderby);
+    }
+
+    return fields.filter((field, index) => ['relevance', 'include'].indexOf(field) === -1 && fields.indexOf(field) === index);
+  },
+  /**
+   * Internal function to append a query param to a URL.  Objects are expanded to PHP style bracket params (e.g. meta_query[0][key]=price).  Do not call directly.
+   * @function __appendSearchParam
+   * @private
+   * @param {URLSearchParams} searchParams The params to append to
+   * @param {string} key The param name
+   * @param {*} value The param value
+   * @param {boolean} nested Whether the value is nested within an object, in which case arrays are expanded too
+   */
+  __appendSearchParam(searchParams, key, value, nested) {
+    if (value !== null && typeof value === 'object' && (nested || value.constructor !== Array)) {
+      for (const child_key in value) {
+        if (Object.hasOwnProperty.call(value, child_key)) {
+          this.__appendSearchParam(searchParams, `${key}[${child_key}]`, value[child_key], true);
+        }
+      }
+    } else {
+      searchParams.append(key, value);
+    }
+  },
+  /**
+   * Internal function to translate a meta query group from params into a WP_Meta_Query array.  Do not call directly.
+   * @function __translateMetaQuery
+   * @private
+   * @param {Object} group A group of named clauses and groups, with an optional relation
+   * @returns {Object|null} The translated group, or null if it has no clauses
+   */
+  __translateMetaQuery(group) {
+    const meta_query = {};
+    let count = 0;
+
+    for (const name in group) {
+      if (!Object.hasOwnProperty.call(group, name) || name === 'relation') {
+        continue;
+      }
+
+      const clause = group[name];
+      let translated = null;
+
+      if (clause && clause.field) {
+        translated = {
+          key: clause.field,
+          compare: clause.compare || (clause.value && clause.value.constructor === Array ? 'IN' : '='),
+        };
+
+        if (['EXISTS', 'NOT EXISTS'].indexOf(translated.compare) === -1) {
+          translated.value = clause.value;
+        }
+
+        if (clause.type) {
+          translated.type = clause.type;
+        }
+      } else if (clause && typeof clause === 'object') {
+        translated = this.__translateMetaQuery(clause);
+      }
+
+      if (translated) {
+        meta_query[count++] = translated;
+      }
+    }
+
+    if (count === 0) {
+      return null;
+    }
+
+    meta_query.relation = group.relation || 'AND';
+
+    return meta_query;
+  },
+  /**
+   * Internal function to fetch data based on current properties.  Do not call directly
+   * @function __fetchData
+   * @private
+   */
+  async __fetchData() {
+    // Only the latest request is allowed to write to state, so cancel anything still in flight
+    this.__abortFetch();
+
+    const request_id = ++this.__request_id;
+    const appending = this.__appending;
+    const started = Date.now();
+    this.__appending = false;
+
+    // In load_more mode every page up to the current one is shown, so restoring a page from history loads them all
+    const pages = this.load_more && !appending ? range(1, this.params.pagenum + 1) : [this.params.pagenum];
+    let apiCall = null;
+    let all_cached = false;
+
+    // Building the URL throws for invalid params, which is reported like any failed request
+    try {
+      apiCall = this.constructURL();
+      const merged = this.post_types.length > 0;
+      const local = this.client_side && !merged;
+      const urls = merged || local ? [] : pages.map((page) => this.constructURL(page));
+
+      // Prefetches for earlier params would hold up the ones for these, so only those this fetch can use are kept
+      this.__abortPrefetch((merged ? [].concat(...pages.map((page) => this.__pageURLs(page))) : urls).map(String));
+      const cached = local ? [this.__localResponse(pages)] : merged ? [this.__cachedMerged(pages)] : urls.map((url) => this.__cachedResponse(url));
+      all_cached = cached.every(Boolean);
+
+      this.__emit('before-fetch', { params: this.params, url: String(apiCall), from_cache: all_cached });
+
+      if (all_cached) {
+        this.__setState({ error: null });
+        this.__applyResponse(this.__combineResponses(cached), appending);
+        this.__emitLoaded(apiCall, started, true);
+        this.__prefetchAdjacent();
+
+        // Local results are already as fresh as the collection
+        if (local || !this.cache_refresh) {
+          return;
+        }
+      } else {
+        this.__setState(appending ? { loadingMore: true, error: null } : { loading: true, error: null });
+        this.triggerRootEvent('loading');
+      }
+
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      this.__abort_controller = controller;
+
+      const signal = controller ? controller.signal : undefined;
+      const responses = local
+        ? [await this.__requestLocal(pages)]
+        : merged
+        ? [await this.__requestMerged(pages, signal, all_cached)]
+        : await Promise.all(urls.map((url, index) => (cached[index] && !all_cached ? cached[index] : this.__requestPage(url, signal))));
+
+      if (!this.__isCurrentRequest(request_id, apiCall)) {
+        return;
+      }
+
+      this.__abort_controller = null;
+      this.__applyResponse(this.__combineResponses(responses), appending);
+      this.__emitLoaded(apiCall, started, false);
+      this.__prefetchAdjacent();
+    } catch (error) {
+      // An aborted request has been superseded by a newer one, which now owns loading and error
+      if ((error && error.name === 'AbortError') || request_id !== this.__request_id) {
+        return;
+      }
+
+      this.__abort_controller = null;
+
+      if (get(error, 'code') === 'rest_post_invalid_page_number' && this.params.pagenum > 1) {
+        try {
+          await this.__recoverFromInvalidPage(request_id);
+          return;
+        } catch (recover_error) {
+          error = recover_error;
+        }
+      }
+
+      // A failed background refresh leaves the cached results in place
+      this.__setState(all_cached ? { loadingMore: false } : { loadingMore: false, error: error, loading: false });
+
+      this.__emit('error', { error: error, params: this.params, url: apiCall ? String(apiCall) : '', from_cache: all_cached });
+    }
+  },
+  /**
+   * Internal function to request a page, or wait for a prefetch of it that's still in flight rather than requesting it twice.  Do not call directly.
+   * @function __requestPage
+   * @private
+   * @param {URL} url The URL to request
+   * @param {AbortSignal} signal Signal to cancel the request with
+   * @returns {Promise.<Object>} The response body and totals ({ body, total, total_pages })
+   */
+  __requestPage(url, signal) {
+    if (this.__prefetching[String(url)]) {
+      return this.__prefetching[String(url)].then(
+        (response) => {
+          this.__prefetched.delete(String(url));
+          return response;
+        },
+        () => this.__request(url, signal)
+      );
+    }
+
+    return this.__request(url, signal);
+  },
+  /**
+   * Internal function to get the URLs of every page of each post type needed to show a page of merged results, as far as they're known.  Do not call directly.
+   * Showing page n of the merged results takes the first n pages of every post type, since any of them could sort first.
+   * @function __mergedURLs
+   * @private
+   * @param {number} page The merged page
+   * @param {Object} [params] The params.  Defaults to the current params
+   * @returns {Array.<Array.<URL>>} URLs for each post type, in page order.  Only the first page is included until it has been cached
+   */
+  __mergedURLs(page, params) {
+    return this.post_types.map((post_type) => {
+      const first = this.constructURL(1, params, post_type);
+      const first_response = (this.__cache && this.__cache.get(String(first))) || this.__prefetched.get(String(first));
+      // Until the first page is in, it isn't known how many pages there are
+      const last_page = first_response ? Math.min(page, first_response.total_pages) : 1;
+
+      return [first].concat(range(2, last_page + 1).map((type_page) => this.constructURL(type_page, params, post_type)));
+    });
+  },
+  /**
+   * Internal function to get merged results from the cache.  Do not call directly.
+   * @function __cachedMerged
+   * @private
+   * @param {Array.<number>} pages The merged pages to show
+   * @returns {Object|null} The merged response ({ body, total, total_pages }), or null if any page isn't cached or the page is past the last page
+   */
+  __cachedMerged(pages) {
+    const responses = this.__mergedURLs(Math.max(...pages)).map((urls) =>
+      urls.map((url) => (this.__cache && this.__cache.get(String(url))) || this.__prefetched.get(String(url)))
+    );
+
+    if (!responses.every((type_responses) => type_responses.every(Boolean))) {
+      return null;
+    }
+
+    const merged = this.__mergeResponses(responses, pages);
+
+    // Past the last page, so leave it to the request path to report it and recover
+    return Math.max(...pages) > merged.total_pages && merged.total > 0 ? null : merged;
+  },
+  /**
+   * Internal function to request merged results from every post type in post_types.  Do not call directly.
+   * @function __requestMerged
+   * @private
+   * @param {Array.<number>} pages The merged pages to show
+   * @param {AbortSignal} signal Signal to cancel the requests with
+   * @param {boolean} refresh Whether to skip the cache
+   * @returns {Promise.<Object>} The merged response ({ body, total, total_pages })
+   * @throws {RequestError} If the page is past the last page of merged results
+   */
+  async __requestMerged(pages, signal, refresh) {
+    const last_page = Math.max(...pages);
+    const request = (url) => (!refresh && this.__cachedResponse(url)) || this.__requestPage(url, signal);
+
+    // The first page of each post type has its totals, which say how many more pages there are
+    const firsts = await Promise.all(this.post_types.map((post_type) => request(this.constructURL(1, null, post_type))));
+    const responses = await Promise.all(
+      this.post_types.map(async (post_type, index) => {
+        const rest = range(2, Math.min(last_page, firsts[index].total_pages) + 1).map((page) => request(this.constructURL(page, null, post_type)));
+
+        return [firsts[index]].concat(await Promise.all(rest));
+      })
+    );
+    const merged = this.__mergeResponses(responses, pages);
+
+    if (last_page > merged.total_pages && merged.total > 0) {
+      throw new RequestError('The page number requested is larger than the number of pages available.', {
+        status: 400,
+        code: 'rest_post_invalid_page_number',
+        url: this.constructURL(),
+      });
+    }
+
+    return merged;
+  },
+  /**
+   * Internal function to merge, sort and paginate the results of every post type.  Do not call directly.
+   * @function __mergeResponses
+   * @private
+   * @param {Array.<Array.<Object>>} responses The responses for each post type, in page order
+   * @param {Array.<number>} pages The merged pages to show
+   * @returns {Object} The merged response ({ body, total, total_pages })
+   */
+  __mergeResponses(responses, pages) {
+    const orderby = this.params.orderby;
+    const descending = this.params.order !== 'asc';
+    const items = [];
+
+    responses.forEach((type_responses, type_index) => {
+      [].concat(...type_responses.map((response) => response.body)).forEach((item, rank) => {
+        // Templates branch on type, so make sure every item has one even if _fields left it out
+        items.push({ item: item.type ? item : extend({}, item, { type: this.post_types[type_index] }), rank: rank });
+      });
+    });
+
+    const value = (entry) => {
+      if (this.meta_fields[orderby]) {
+        const meta_value = get(entry.item, ['meta', orderby]);
+        return this.meta_fields[orderby] === 'number' ? parseFloat(meta_value) || 0 : String(meta_value === undefined ? '' : meta_value);
+      }
+
+      switch (orderby) {
+        case 'title':
+          return String(get(entry.item, ['title', 'rendered'], entry.item.title || '')).toLowerCase();
+        case 'relevance':
+        case 'include':
+          return entry.rank; // Each post type is already in order, and there's nothing to compare across post types, so interleave them
+        case 'id':
+          return entry.item.id;
+        default:
+          return entry.item[orderby] || '';
+      }
+    };
+
+    // Array.prototype.sort is stable, so ties keep the post_types order
+    items.sort((a, b) => {
+      const a_value = value(a);
+      const b_value = value(b);
+      const result = a_value < b_value ? -1 : a_value > b_value ? 1 : 0;
+
+      return descending && orderby !== 'relevance' && orderby !== 'include' ? -result : result;
+    });
+
+    const total = responses.reduce((sum, type_responses) => sum + type_responses[0].total, 0);
+
+    return {
+      body: items.slice((pages[0] - 1) * this.per_page, Math.max(...pages) * this.per_page).map((entry) => entry.item),
+      total: total,
+      total_pages: Math.ceil(total / this.per_page),
+    };
+  },
+  /**
+   * Internal function to load the whole collection for client_side mode, once.  Do not call directly.
+   * @function __loadCollection
+   * @private
+   * @returns {Promise.<Array.<Object>>} Every item in the collection
+   */
+  __loadCollection() {
+    if (!this.__collection) {
+      // The load is shared by every query until it finishes, so a params change mustn't cancel it
+      const signal = this.__collection_controller ? this.__collection_controller.signal : undefined;
+      const request = (page) => this.__cachedResponse(this.__collectionURL(page)) || this.__request(this.__collectionURL(page), signal);
+
+      const collection = (async () => {
+        // The query code is only needed in client_side mode, so it's loaded on demand rather than bundled with the library
+        const [{ createRESTHandler }, first] = await Promise.all([import('./rest-emulator'), request(1)]);
+        const rest = await Promise.all(range(2, first.total_pages + 1).map(request));
+        const items = [].concat(first.body, ...rest.map((response) => response.body));
+
+        // Unless the version changed while it loaded
+        if (this.__collection === collection) {
+          this.__collection_items = items;
+          this.__create_rest_handler = createRESTHandler;
+        }
+
+        return items;
+      })();
+
+      // Let the next query try again
+      collection.catch(() => {
+        if (this.__collection === collection) {
+          this.__collection = null;
+        }
+      });
+
+      this.__collection = collection;
+    }
+
+    return this.__collection;
+  },
+  /**
+   * Internal function to build the URL for a page of the whole collection.  Do not call directly.
+   * @function __collectionURL
+   * @private
+   * @param {number} page The page
+   * @returns {URL} The URL
+   */
+  __collectionURL(page) {
+    const apiURL = this.constructEndpointURL(this.api_route || this.post_type);
+    apiURL.searchParams.append('context', 'view'); // Term IDs and meta aren't in the embed context
+    this.__appendEmbed(apiURL.searchParams);
+    apiURL.searchParams.append('per_page', 100);
+    apiURL.searchParams.append('ver', this.ver);
+    apiURL.searchParams.append('page', page);
+
+    return apiURL;
+  },
+  /**
+   * Internal function to query the whole collection in client_side mode, loading it first if needed.  Do not call directly.
+   * @function __requestLocal
+   * @private
+   * @param {Array.<number>} pages The pages to show
+   * @returns {Promise.<Object>} The response ({ body, total, total_pages })
+   * @throws {RequestError} If the collection can't be loaded, or the page is past the last page
+   */
+  async __requestLocal(pages) {
+    await this.__loadCollection();
+
+    return this.__combineResponses(pages.map((page) => this.__queryCollection(page)));
+  },
+  /**
+   * Internal function to query the whole collection in client_side mode, if it has loaded.  Do not call directly.
+   * @function __localResponse
+   * @private
+   * @param {Array.<number>} pages The pages to show
+   * @returns {Object|null} The response ({ body, total, total_pages }), or null if the collection hasn't loaded or the query fails
+   */
+  __localResponse(pages) {
+    if (!this.__collection_items) {
+      return null;
+    }
+
+    try {
+      return this.__combineResponses(pages.map((page) => this.__queryCollection(page)));
+    } catch (error) {
+      return null; // Queried again on the request path, which reports the error
+    }
+  },
+  /**
+   * Internal function to answer the query for a page from the whole collection, the way WordPress would.  Do not call directly.
+   * @function __queryCollection
+   * @private
+   * @param {number} page The page
+   * @returns {Object} The response ({ body, total, total_pages })
+   * @throws {RequestError} If the query is invalid, or the page is past the last page
+   */
+  __queryCollection(page) {
+    const route = this.api_route || this.post_type;
+    const items = this.__collection_items;
+    const rest_bases = { post: route };
+    const terms = [];
+
+    items.forEach((item) => {
+      rest_bases[item.type || 'post'] = route;
+    });
+
+    // Taxonomies are filtered on by their terms, so use the loaded terms for their parents, and stand-ins for the rest
+    Object.keys(this.initial_taxonomies).forEach((taxonomy) => {
+      const loaded = this.taxonomy_terms[taxonomy] || [];
+      const ids = [];
+
+      items.forEach((item) => {
+        (item[taxonomy] instanceof Array ? item[taxonomy] : []).forEach((id) => {
+          if (ids.indexOf(id) === -1 && !loaded.some((term) => term.id === id)) {
+            ids.push(id);
+          }
+        });
+      });
+
+      loaded.forEach((term) => terms.push(extend({}, term, { taxonomy: taxonomy })));
+      ids.forEach((id) => terms.push({ id: id, name: '', taxonomy: taxonomy }));
+    });
+
+    const url = this.constructURL(page);
+    url.searchParams.delete('_embed'); // Keep the resources that were embedded when the collection loaded
+
+    // The collection was fetched with the current user's permissions, so keep their drafts and private items
+    const handle = this.__create_rest_handler({ posts: items, terms: terms }, { namespace: this.api_namespace, rest_bases: rest_bases, published_only: false });
+    const response = handle(`/wp-json/${this.api_namespace}/${route}${url.search}`);
+
+    if (response.status >= 400) {
+      throw new RequestError(get(response.body, 'message') || `Request failed with status ${response.status}`, {
+        status: response.status,
+        code: get(response.body, 'code'),
+        url: url,
+      });
+    }
+
+    return {
+      body: response.body,
+      total: parseInt(response.headers['x-wp-total']) || 0,
+      total_pages: parseInt(response.headers['x-wp-totalpages']) || 0,
+    };
+  },
+  /**
+   * Internal function to emit the loaded event.  Do not call directly.
+   * @function __emitLoaded
+   * @private
+   * @param {URL} url The URL of the current page
+   * @param {number} started When the fetch started
+   * @param {boolean} from_cache Whether the results came from the cache
+   */
+  __emitLoaded(url, started, from_cache) {
+    this.__emit('loaded', {
+      params: this.params,
+      url: String(url),
+      resources: this.resources,
+      total: this.pagination_data.total,
+      total_pages: this.pagination_data.total_pages,
+      duration: Date.now() - started,
+      from_cache: from_cache,
+    });
+  },
+  /**
+   * Add middleware to run on every request and response.  Middleware may be async, and runs in the order it was added.
+   * @function use
+   * @param {Object} middleware
+   * @param {function} middleware.request Called with { url, options } before every request.  Return it, modified, to change the URL or fetch options (e.g. headers)
+   * @param {function} middleware.response Called with { url, body, total, total_pages, headers } for every query response, before it becomes wp_data.  Return it, modified, to transform the response
+   * @returns {Object} The library, or the component for the mixin
+   */
+  use(middleware) {
+    this.__middleware.push(middleware);
+
+    return this;
+  },
+  /**
+   * Internal function to run a middleware stage.  Do not call directly.
+   * @function __runMiddleware
+   * @private
+   * @param {string} stage One of "request" or "response"
+   * @param {Object} context The request or response
+   * @returns {Promise.<Object>} The request or response after every middleware has run
+   */
+  async __runMiddleware(stage, context) {
+    for (let i = 0; i < this.__middleware.length; i++) {
+      if (this.__middleware[i][stage] instanceof Function) {
+        context = (await this.__middleware[i][stage](context)) || context;
+      }
+    }
+
+    return context;
+  },
+  /**
+   * Internal function to request a single page from the WP API and cache the response.  Do not call directly.
+   * @function __request
+   * @private
+   * @param {URL} url The URL to request
+   * @param {AbortSignal} signal Signal to cancel the request with
+   * @returns {Promise.<Object>} The response body and totals ({ body, total, total_pages })
+   */
+  async __request(url, signal) {
+    const fetchResponse = await this.fetchJSON(url, signal);
+    const transformed = await this.__runMiddleware('response', {
+      url: String(url),
+      body: fetchResponse.body,
+      total: parseInt(fetchResponse.headers.get('x-wp-total')) || 0,
+      total_pages: parseInt(fetchResponse.headers.get('x-wp-totalpages')) || 0,
+      headers: fetchResponse.headers,
+    });
+    const response = {
+      body: transformed.body,
+      total: transformed.total,
+      total_pages: transformed.total_pages,
+    };
+
+    if (this.__cache) {
+      this.__cache.set(String(url), response);
+    }
+
+    return response;
+  },
+  /**
+   * Fetch JSON from the WP API with the configured authentication.  Network failures and 5xx responses are retried with backoff.
+   * @function fetchJSON
+   * @param {URL|string} url The URL to request
+   * @param {AbortSignal} signal Signal to cancel the request with
+   * @returns {Promise.<Object>} The parsed body and the response headers ({ body, headers })
+   * @throws {RequestError} If the request fails, or WordPress responds with an error
+   */
+  async fetchJSON(url, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.__fetchJSONOnce(url, signal);
+      } catch (error) {
+        if (!(error instanceof RequestError) || !error.retryable || attempt >= this.retries) {
+          throw error;
+        }
+
+        await this.__wait(this.retry_delay * Math.pow(2, attempt), signal);
+      }
+    }
+  },
+  /**
+   * Internal function to make a single request to the WP API.  Do not call directly.
+   * @function __fetchJSONOnce
+   * @private
+   * @param {URL|string} url The URL to request
+   * @param {AbortSignal} signal Signal to cancel the request with
+   * @returns {Promise.<Object>} The parsed body and the response headers ({ body, headers })
+   */
+  async __fetchJSONOnce(url, signal) {
+    const request = await this.__runMiddleware('request', { url: url, options: this.requestOptions(signal) });
+    let fetchResponse;
+
+    try {
+      fetchResponse = await (this.transport || fetch)(request.url, request.options);
+    } catch (error) {
+      if (error && error.name === 'AbortError') {
+        throw error;
+      }
+
+      throw new RequestError(error.message || 'Network error', { code: 'network_error', url: url });
+    }
+
+    let body = null;
+    try {
+      body = await fetchResponse.json();
+    } catch (error) {
+      if (fetchResponse.ok) {
+        throw new RequestError('The response was not valid JSON', { status: fetchResponse.status, code: 'invalid_json', url: url });
+      }
+    }
+
+    if (!fetchResponse.ok) {
+      // WordPress errors look like { code, message, data: { status } }
+      throw new RequestError(get(body, 'message') || fetchResponse.statusText || `Request failed with status ${fetchResponse.status}`, {
+        status: fetchResponse.status,
+        code: get(body, 'code', ''),
+        url: url,
+        data: get(body, 'data', null),
+      });
+    }
+
+    return {
+      body: body,
+      headers: fetchResponse.headers,
+    };
+  },
+  /**
+   * Internal function to wait before retrying a request.  Do not call directly.
+   * @function __wait
+   * @private
+   * @param {number} delay How long to wait, in milliseconds
+   * @param {AbortSignal} signal Signal to stop waiting with
+   * @returns {Promise}
+   */
+  __wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        clearTimeout(timeout);
+        const error = new Error('The request was aborted');
+        error.name = 'AbortError';
+        reject(error);
+      };
+      const timeout = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', abort);
+        }
+
+        resolve();
+      }, delay);
+
+      if (signal && signal.aborted) {
+        abort();
+      } else if (signal) {
+        signal.addEventListener('abort', abort);
+      }
+    });
+  },
+  /**
+   * Re-run the latest query, e.g. after it failed
+   * @function retry
+   * @returns {Promise}
+   */
+  retry() {
+    return this.__fetchData();
+  },
+  /**
+   * Internal function to recover from a request for a page past the last page, by loading the last page instead.  Do not call directly.
+   * @function __recoverFromInvalidPage
+   * @private
+   * @param {number} request_id The id of the failed request
+   * @returns {Promise}
+   */
+  async __recoverFromInvalidPage(request_id) {
+    // WordPress doesn't send totals with the error, so ask for the first page to find the last one
+    let response;
+
+    if (this.post_types.length > 0) {
+      response = await this.__requestMerged([1]);
+    } else {
+      response = this.client_side ? await this.__requestLocal([1]) : await this.__request(this.constructURL(1));
+    }
+
+    if (request_id !== this.__request_id) {
+      return;
+    }
+
+    this.replaceHistory().selectPage(Math.max(1, response.total_pages));
+  },
+  /**
+   * Internal function to join consecutive pages into a single response.  Do not call directly.
+   * @function __combineResponses
+   * @private
+   * @param {Array.<Object>} responses The responses, in page order
+   * @returns {Object} The combined response ({ body, total, total_pages })
+   */
+  __combineResponses(responses) {
+    const last = responses[responses.length - 1];
+
+    return {
+      body: responses.length === 1 ? last.body : [].concat(...responses.map((response) => response.body)),
+      total: last.total,
+      total_pages: last.total_pages,
+    };
+  },
+  /**
+   * Internal function to write a REST response to state.  Do not call directly.
+   * @function __applyResponse
+   * @private
+   * @param {Object} response The response body and totals ({ body, total, total_pages })
+   * @param {boolean} append Whether to append the results to the existing results
+   */
+  __applyResponse(response, append) {
+    this.__setState({
+      wp_data: append ? [].concat(this.wp_data, response.body) : response.body,
+      pagination_data: { total: response.total, total_pages: response.total_pages },
+      loading: false,
+      loadingMore: false,
+    });
+
+    if (this.__is_initial_load === true) {
+      this.onInitialLoad();
+      this.__is_initial_load = false;
+    }
+
+    this.__recheckLoadMore();
+  },
+  /**
+   * Re-observe the load more element once the results have rendered.  The observer only reports threshold crossings, so an element that was reached while loading, or that is still in view after a page was appended, would otherwise never load the next page.  Observing it again reports its current state.  Do not call directly.
+   * @function __recheckLoadMore
+   * @private
+   */
+  __recheckLoadMore() {
+    if (!this.__load_more_observer) {
+      return;
+    }
+
+    this.__next_tick(() => {
+      const observer = this.__load_more_observer;
+      const element = this.__load_more_element;
+
+      if (observer && element) {
+        observer.unobserve(element);
+        observer.observe(element);
+      }
+    });
+  },
+  /**
+   * Internal function to stand the initial_data in for the first fetch, once params are set.  Do not call directly.
+   * @function __useInitialResponse
+   * @private
+   */
+  __useInitialResponse() {
+    const response = this.__initial_response;
+    this.__initial_response = null;
+
+    // In load_more mode the initial data may hold several pages, and merged results are cached per post type, so neither can be cached as one
+    if (this.__cache && !this.load_more && this.post_types.length === 0) {
+      try {
+        this.__cache.set(String(this.constructURL()), response);
+      } catch (error) {
+        // The URL can't be built (e.g. a relative api_root without a window), so the results are shown without caching them
+      }
+    }
+
+    // Settle after the params change is handled, like a fetch would
+    this.__next_tick(() => {
+      this.__applyResponse(response, false);
+      this.__prefetchAdjacent();
+    });
+  },
+  /**
+   * Clear all cached query results
+   * @function clearCache
+   */
+  clearCache() {
+    if (this.__cache) {
+      this.__cache.clear();
+    }
+
+    this.__prefetched.clear();
+    this.__collection = null;
+    this.__collection_items = null;
+  },
+  /**
+   * Internal function to get a cached or prefetched response.  Do not call directly.
+   * @function __cachedResponse
+   * @private
+   * @param {URL} url The request URL
+   * @returns {Object|null} The response ({ body, total, total_pages }), or null if there isn't one
+   */
+  __cachedResponse(url) {
+    const response = (this.__cache && this.__cache.get(String(url))) || this.__prefetched.get(String(url));
+
+    // Without the cache, prefetched results are only held until they are shown
+    if (response && !this.__cache) {
+      this.__prefetched.delete(String(url));
+    }
+
+    return response || null;
+  },
+  /**
+   * Prefetch a page of the current query, e.g. when the user hovers over or focuses a pagination button, so selecting it renders immediately.
+   * Does nothing unless prefetch is set, or if the user has asked to save data.
+   * @function prefetchPage
+   * @param {number} page The page number
+   */
+  prefetchPage(page) {
+    if (page >= 1 && page !== this.params.pagenum && (!this.pagination_data.total_pages || page <= this.pagination_data.total_pages)) {
+      this.prefetchParams({ pagenum: page });
+    }
+  },
+  /**
+   * Prefetch the results of adding terms to the filter, e.g. when the user hovers over or focuses a term filter
+   * @function prefetchTerms
+   * @param {string} taxonomy The taxonomy to use
+   * @param {number|Array.<number>} terms The ID of the taxonomy to add
+   */
+  prefetchTerms(taxonomy, terms) {
+    if (terms.constructor !== Array) {
+      terms = [terms];
+    }
+
+    const exclude = get(this.params.tax_exclude, taxonomy, []);
+    const changes = {
+      [taxonomy]: this.params[taxonomy].concat(terms.filter((term) => this.params[taxonomy].indexOf(term) === -1)),
+    };
+
+    if (exclude.length > 0) {
+      changes.tax_exclude = extend({}, this.params.tax_exclude, { [taxonomy]: exclude.filter((term) => terms.indexOf(term) === -1) });
+    }
+
+    this.prefetchParams(changes);
+  },
+  /**
+   * Prefetch the results of changing params.  Like any change other than the page, this goes back to page 1 unless pagenum is given.
+   * @function prefetchParams
+   * @param {Object} changes The params to change (e.g. { search: 'foo' })
+   */
+  prefetchParams(changes) {
+    if (!this.__canPrefetch()) {
+      return;
+    }
+
+    const params = extend({}, this.params, { pagenum: 1 }, changes);
+
+    try {
+      this.__pageURLs(params.pagenum, params).forEach((url) => this.__prefetchURL(url));
+    } catch (error) {
+      // Prefetching is best effort, so invalid params just aren't prefetched
+    }
+  },
+  /**
+   * Internal function to prefetch the pages next to the current page once it has loaded.  Do not call directly.
+   * @function __prefetchAdjacent
+   * @private
+   */
+  __prefetchAdjacent() {
+    if (!this.__canPrefetch()) {
+      return;
+    }
+
+    // In load_more mode the previous pages are already showing
+    const pages = this.load_more ? [this.params.pagenum + 1] : [this.params.pagenum + 1, this.params.pagenum - 1];
+
+    pages.forEach((page) => {
+      if (page >= 1 && page <= this.pagination_data.total_pages) {
+        this.__pageURLs(page).forEach((url) => this.__prefetchURL(url));
+      }
+    });
+  },
+  /**
+   * Internal function to get the URLs to request for a page.  Do not call directly.
+   * @function __pageURLs
+   * @private
+   * @param {number} page The page number
+   * @param {Object} [params] The params.  Defaults to the current params
+   * @returns {Array.<URL>} The page's URL, or the URLs of every post type's pages it is merged from when there are post_types
+   */
+  __pageURLs(page, params) {
+    return this.post_types.length > 0 ? [].concat(...this.__mergedURLs(page, params)) : [this.constructURL(page, params)];
+  },
+  /**
+   * Internal function to check whether prefetching is enabled and the user hasn't asked to save data.  Do not call directly.
+   * @function __canPrefetch
+   * @private
+   * @returns {boolean}
+   */
+  __canPrefetch() {
+    const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+
+    // Once a client_side collection has loaded there's nothing left to prefetch
+    return this.prefetch && !this.client_side && !(connection && connection.saveData);
+  },
+  /**
+   * Internal function to queue a prefetch.  Do not call directly.
+   * @function __prefetchURL
+   * @private
+   * @param {URL} url The URL to prefetch
+   */
+  __prefetchURL(url) {
+    const key = String(url);
+
+    if (this.__prefetching[key] || this.__prefetch_queue.indexOf(key) !== -1) {
+      return;
+    }
+
+    if ((this.__cache && this.__cache.get(key)) || this.__prefetched.get(key)) {
+      return;
+    }
+
+    this.__prefetch_queue.push(key);
+    this.__runPrefetchQueue();
+  },
+  /**
+   * Internal function to start queued prefetches, up to prefetch_concurrency at a time.  Do not call directly.
+   * @function __runPrefetchQueue
+   * @private
+   */
+  __runPrefetchQueue() {
+    while (this.__prefetch_queue.length > 0 && Object.keys(this.__prefetching).length < this.prefetch_concurrency) {
+      const key = this.__prefetch_queue.shift();
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const prefetch = this.__request(key, controller ? controller.signal : undefined).then((response) => {
+        if (!this.__cache) {
+          this.__prefetched.set(key, response);
+        }
+
+        return response;
+      });
+
+      this.__prefetching[key] = prefetch;
+      this.__prefetch_controllers[key] = controller;
+
+      prefetch
+        .catch(() => {}) // Prefetching is best effort.  A failed page is requested again if it's selected
+        .then(() => {
+          // An aborted prefetch has already been removed, and the URL may be prefetching again since
+          if (this.__prefetching[key] === prefetch) {
+            delete this.__prefetching[key];
+            delete this.__prefetch_controllers[key];
+          }
+
+          this.__runPrefetchQueue();
+        });
+    }
+  },
+  /**
+   * Internal function to cancel queued and in-flight prefetches.  Do not call directly.
+   * @function __abortPrefetch
+   * @private
+   * @param {Array.<string>} [keep] The URLs of in-flight prefetches to keep, e.g. those the current fetch is waiting on
+   */
+  __abortPrefetch(keep = []) {
+    this.__prefetch_queue = [];
+
+    Object.keys(this.__prefetching).forEach((key) => {
+      if (keep.indexOf(key) !== -1) {
+        return;
+      }
+
+      if (this.__prefetch_controllers[key]) {
+        this.__prefetch_controllers[key].abort();
+      }
+
+      delete this.__prefetching[key];
+      delete this.__prefetch_controllers[key];
+    });
+  },
+  /**
+   * Internal function to cancel the in-flight request, if any.  Do not call directly.
+   * @function __abortFetch
+   * @private
+   */
+  __abortFetch() {
+    if (this.__abort_controller) {
+      this.__abort_controller.abort();
+      this.__abort_controller = null;
+    }
+  },
+  /**
+   * Internal function to check whether a response still belongs to the latest request and the current query params.  Do not call directly.
+   * @function __isCurrentRequest
+   * @private
+   * @param {number} request_id The id the request was issued with
+   * @param {URL} url The URL the request was made to
+   * @returns {boolean} Whether or not the response should be applied
+   */
+  __isCurrentRequest(request_id, url) {
+    return request_id === this.__request_id && String(url) === String(this.constructURL());
+  },
+  /**
+   * Select which page of results to display
+   * @function selectPage
+   * @param {number} page The page number
+   * @param {function} callback
+   */
+  selectPage(page, callback) {
+    this.__page_updated = true;
+    this.__updateParams({ pagenum: page });
+
+    if (callback instanceof Function) {
+      callback(page);
+    }
+  },
+  /**
+   * Select the next page of results, if there is one
+   * @function nextPage
+   * @param {function} callback
+   */
+  nextPage(callback) {
+    if (this.params.pagenum < this.pagination_data.total_pages) {
+      this.selectPage(this.params.pagenum + 1, callback);
+    }
+  },
+  /**
+   * Select the previous page of results, if there is one
+   * @function prevPage
+   * @param {function} callback
+   */
+  prevPage(callback) {
+    if (this.params.pagenum > 1) {
+      this.selectPage(this.params.pagenum - 1, callback);
+    }
+  },
+  /**
+   * Internal function to work out which pages to show: pagination_boundary pages at each end, pagination_window pages around the current page, and gaps between them.  Do not call directly.
+   * @function __pageWindow
+   * @private
+   * @returns {Array.<number|null>} The page numbers, with null for gaps
+   */
+  __pageWindow() {
+    const total_pages = this.pagination_data.total_pages;
+
+    if (total_pages === 0) {
+      return [];
+    }
+
+    const window_size = Math.max(1, Math.min(this.pagination_window, total_pages));
+    const current_page = Math.min(Math.max(1, this.params.pagenum), total_pages);
+    // Keep the window the same size near either end by moving it instead of shrinking it
+    const start_page = Math.max(1, Math.min(current_page - Math.floor((window_size - 1) / 2), total_pages - window_size + 1));
+    const end_page = start_page + window_size - 1;
+    const boundary = Math.max(0, this.pagination_boundary);
+
+    const pages = range(1, total_pages + 1).filter(
+      (page) => page <= boundary || page > total_pages - boundary || (page >= start_page && page <= end_page)
+    );
+
+    return pages.reduce((items, page) => {
+      if (items.length > 0 && page !== items[items.length - 1] + 1) {
+        items.push(null);
+      }
+      items.push(page);
+
+      return items;
+    }, []);
+  },
+  /**
+   * Load the next page of results and append it to the existing results.  Only available in load_more mode.
+   * @function loadMore
+   * @param {function} callback
+   */
+  loadMore(callback) {
+    if (!this.load_more || !this.hasMore || this.loading || this.loadingMore) {
+      return;
+    }
+
+    this.__appending = true;
+    this.__replace_history_state = true; // Loading more shouldn't add a back button step for every page
+    this.selectPage(this.params.pagenum + 1, callback);
+  },
+  /**
+   * Call loadMore() whenever an element scrolls into view, e.g. a sentinel element after the last result.  Only one element is observed at a time.
+   * @function observeLoadMore
+   * @param {Element} element The element to observe
+   * @param {Object} options IntersectionObserver options (e.g. rootMargin)
+   */
+  observeLoadMore(element, options) {
+    this.unobserveLoadMore();
+
+    if (!element || typeof IntersectionObserver === 'undefined') {
+      return;
+    }
+
+    this.__load_more_observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        this.loadMore();
+      }
+    }, options);
+    this.__load_more_observer.observe(element);
+    this.__load_more_element = element;
+  },
+  /**
+   * Stop observing the element passed to observeLoadMore()
+   * @function unobserveLoadMore
+   */
+  unobserveLoadMore() {
+    if (this.__load_more_observer) {
+      this.__load_more_observer.disconnect();
+      this.__load_more_observer = null;
+      this.__load_more_element = null;
+    }
+  },
+  /**
+   * Set search terms
+   * @function setSearchTerms
+   * @param {string} search Search terms
+   * @param {function} callback
+   */
+  setSearch(search, callback) {
+    this.__updateParams({ search: search });
+
+    if (callback instanceof Function) {
+      callback(search);
+    }
+  },
+  /**
+   * Apply search_input as the search immediately, e.g. when the user presses enter, instead of waiting for live_search
+   * @function flushSearch
+   */
+  flushSearch() {
+    this.__debounced_search.cancel();
+    this.__applySearchInput(true);
+  },
+  /**
+   * Internal function to apply search_input as the search once it has settled.  Do not call directly.
+   * @function __applySearchInput
+   * @private
+   * @param {boolean} force Whether to ignore search_min_length
+   */
+  __applySearchInput(force) {
+    const search = this.search_input.trim();
+
+    if (search === this.params.search || (!force && search.length > 0 && search.length < this.search_min_length)) {
+      return;
+    }
+
+    this.__search_from_input = true;
+    this.setSearch(search);
+  },
+  /**
+   * Load autocomplete suggestions for a search.  Called automatically as search_input changes when search_suggestions is set.
+   * @function loadSuggestions
+   * @param {string} search The search to suggest results for
+   * @returns {Promise}
+   */
+  async loadSuggestions(search) {
+    if (this.__suggestions_controller) {
+      this.__suggestions_controller.abort();
+    }
+
+    search = (search || '').trim();
+    if (search.length < this.search_min_length) {
+      this.clearSuggestions();
+      return;
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    this.__suggestions_controller = controller;
+    this.__setState({ suggestions_loading: true });
+
+    try {
+      let suggestionsURL;
+
+      if (this.suggestions_source === 'titles') {
+        suggestionsURL = this.constructEndpointURL(this.api_route || this.post_type);
+        suggestionsURL.searchParams.append('_fields', 'id,title,link,type');
+      } else {
+        suggestionsURL = this.constructEndpointURL('search');
+        suggestionsURL.searchParams.append('type', 'post');
+        suggestionsURL.searchParams.append('subtype', this.suggestions_subtype || 'any');
+      }
+
+      suggestionsURL.searchParams.append('search', search);
+      suggestionsURL.searchParams.append('per_page', this.suggestions_count);
+
+      const response = (await this.fetchJSON(suggestionsURL, controller ? controller.signal : undefined)).body;
+
+      this.__setState({
+        suggestions: map(response, (item) => ({
+          id: item.id,
+          title: get(item, ['title', 'rendered'], item.title),
+          url: item.url || item.link,
+          type: item.subtype || item.type,
+        })),
+        active_suggestion: -1,
+        suggestions_loading: false,
+      });
+    } catch (error) {
+      if (!error || error.name !== 'AbortError') {
+        this.__setState({ suggestions_loading: false });
+      }
+    }
+  },
+  /**
+   * Clear the autocomplete suggestions
+   * @function clearSuggestions
+   */
+  clearSuggestions() {
+    if (this.__suggestions_controller) {
+      this.__suggestions_controller.abort();
+      this.__suggestions_controller = null;
+    }
+
+    this.__setState({ suggestions: [], suggestions_loading: false, active_suggestion: -1 });
+  },
+  /**
+   * Highlight the next suggestion, wrapping around to the first
+   * @function nextSuggestion
+   */
+  nextSuggestion() {
+    if (this.suggestions.length > 0) {
+      this.__setState({ active_suggestion: (this.active_suggestion + 1) % this.suggestions.length });
+    }
+  },
+  /**
+   * Highlight the previous suggestion, wrapping around to the last
+   * @function prevSuggestion
+   */
+  prevSuggestion() {
+    if (this.suggestions.length > 0) {
+      this.__setState({ active_suggestion: this.active_suggestion <= 0 ? this.suggestions.length - 1 : this.active_suggestion - 1 });
+    }
+  },
+  /**
+   * Search for a suggestion's title
+   * @function selectSuggestion
+   * @param {number} index The index of the suggestion.  Defaults to the highlighted suggestion
+   */
+  selectSuggestion(index) {
+    const suggestion = this.suggestions[index === undefined ? this.active_suggestion : index];
+
+    if (suggestion) {
+      this.__setState({ search_input: suggestion.title });
+      this.flushSearch();
+    }
+
+    this.clearSuggestions();
+  },
+  /**
+   * Keyboard handler for the search field.  Arrow keys move through suggestions, enter selects the highlighted suggestion or searches, and escape closes the suggestions.
+   * @function onSearchKeydown
+   * @param {KeyboardEvent} event The keydown event
+   * @example <input v-model="search_input" @keydown="onSearchKeydown" />
+   */
+  onSearchKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.nextSuggestion();
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.prevSuggestion();
+        break;
+      case 'Enter':
+        if (this.active_suggestion !== -1) {
+          event.preventDefault();
+          this.selectSuggestion();
+        } else {
+          this.clearSuggestions();
+          this.flushSearch();
+        }
+        break;
+      case 'Escape':
+        this.clearSuggestions();
+        break;
+    }
+  },
+  /**
+   * Reset taxonomy terms
+   * @function resetTerms
+   * @param {string} taxonomy The taxonomy to use
+   * @param {function} callback
+   */
+  resetTerms(taxonomy, callback) {
+    this.__updateParams({ [taxonomy]: [] });
+
+    if (callback instanceof Function) {
+      callback(taxonomy);
+    }
+  },
+  /**
+   * Add taxonomy terms
+   * @function addTerms
+   * @param {string}  taxonomy The taxonomy to use
+   * @param {integer|Array.<number>} terms The ID of the taxonomy to add
+   * @param {function} callback
+   */
+  addTerms(taxonomy, terms, callback) {
+    if (terms.constructor !== Array) {
+      terms = [terms];
+    }
+
+    const selected = this.params[taxonomy].slice();
+
+    for (let i = 0; i < terms.length; i++) {
+      if (selected.indexOf(terms[i]) === -1) {
+        selected.push(terms[i]);
+      }
+    }
+
+    if (selected.length !== this.params[taxonomy].length) {
+      this.__updateParams({ [taxonomy]: selected });
+    }
+
+    this.__removeFromTaxList('tax_exclude', taxonomy, terms);
+
+    if (callback instanceof Function) {
+      callback(taxonomy, terms);
+    }
+  },
+  /**
+   * Remove taxonomy terms
+   * @function removeTerms
+   * @param {string} taxonomy The taxonomy to use
+   * @param {number|Array.<number>} terms The ID of the taxonomy to remove
+   * @param {function} callback
+   */
+  removeTerms(taxonomy, terms, callback) {
+    if (terms.constructor !== Array) {
+      terms = [terms];
+    }
+
+    const selected = this.params[taxonomy].filter((term) => terms.indexOf(term) === -1);
+
+    if (selected.length !== this.params[taxonomy].length) {
+      this.__updateParams({ [taxonomy]: selected });
+    }
+
+    if (callback instanceof Function) {
+      callback(taxonomy, terms);
+    }
+  },
+  /**
+   * Set taxonomy terms.  This overwrites any current taxonomy temms.
+   * @function setTerms
+   * @param {string} taxonomy The taxonomy to use
+   * @param {number|Array<number>} terms The ID of the taxonomy to remove
+   * @param {function} callback
+   */
+  setTerms(taxonomy, terms, callback) {
+    if (terms.constructor !== Array) {
+      terms = [terms];
+    }
+
+    this.__updateParams({ [taxonomy]: terms });
+
+    if (callback instanceof Function) {
+      callback(taxonomy, terms);
+    }
+  },
+  /**
+   * Exclude taxonomy terms from results.  Excluded terms are removed from the included terms.
+   * @function excludeTerms
+   * @param {string} taxonomy The taxonomy to use
+   * @param {number|Array.<number>} terms The ID of the taxonomy to exclude
+   * @param {function} callback
+   */
+  excludeTerms(taxonomy, terms, callback) {
+    if (terms.constructor !== Array) {
+      terms = [terms];
+    }
+
+    const excluded = (this.params.tax_exclude[taxonomy] || []).slice();
+
+    for (let i = 0; i < terms.length; i++) {
+      if (excluded.indexOf(terms[i]) === -1) {
+        excluded.push(terms[i]);
+      }
+    }
+
+    this.__setParamKey('tax_exclude', taxonomy, excluded);
+
+    if (this.params[taxonomy]) {
+      this.removeTerms(taxonomy, terms);
+    }
+
+    if (callback instanceof Function) {
+      callback(taxonomy, terms);
+    }
+  },
+  /**
+   * Stop excluding taxonomy terms
+   * @function unexcludeTerms
+   * @param {string} taxonomy The taxonomy to use
+   * @param {number|Array.<number>} terms The ID of the taxonomy to stop excluding
+   * @param {function} callback
+   */
+  unexcludeTerms(taxonomy, terms, callback) {
+    if (terms.constructor !== Array) {
+      terms = [terms];
+    }
+
+    this.__removeFromTaxList('tax_exclude', taxonomy, terms);
+
+    if (callback instanceof Function) {
+      callback(taxonomy, terms);
+    }
+  },
+  /**
+   * Set excluded taxonomy terms.  This overwrites any currently excluded terms.
+   * @function setExcludedTerms
+   * @param {string} taxonomy The taxonomy to use
+   * @param {number|Array.<number>} terms The ID of the taxonomy to exclude
+   * @param {function} callback
+   */
+  setExcludedTerms(taxonomy, terms, callback) {
+    if (terms.constructor !== Array) {
+      terms = [terms];
+    }
+
+    this.__setParamKey('tax_exclude', taxonomy, terms);
+
+    if (callback instanceof Function) {
+      callback(taxonomy, terms);
+    }
+  },
+  /**
+   * Set whether results must have any ("OR") or all ("AND") of the selected terms in a taxonomy
+   * @function setTermsOperator
+   * @param {string} taxonomy The taxonomy to use
+   * @param {string} operator One of "AND" or "OR"
+   */
+  setTermsOperator(taxonomy, operator) {
+    operator = operator.toUpperCase();
+
+    if (operator !== 'AND' && operator !== 'OR') {
+      throw new ResourceLibraryError('Operator must be either AND or OR');
+    }
+
+    this.__setTaxOption(taxonomy, 'operator', operator);
+  },
+  /**
+   * Set whether selected and excluded terms in a hierarchical taxonomy also match their child terms
+   * @function setIncludeChildren
+   * @param {string} taxonomy The taxonomy to use
+   * @param {boolean} include_children Whether to include child terms
+   */
+  setIncludeChildren(taxonomy, include_children) {
+    this.__setTaxOption(taxonomy, 'include_children', !!include_children);
+  },
+  /**
+   * Set whether results must match any ("OR") or all ("AND") of the filtered taxonomies
+   * @function setTaxRelation
+   * @param {string} relation One of "AND" or "OR"
+   */
+  setTaxRelation(relation) {
+    relation = relation.toUpperCase();
+
+    if (relation !== 'AND' && relation !== 'OR') {
+      throw new ResourceLibraryError('Relation must be either AND or OR');
+    }
+
+    this.__updateParams({ tax_relation: relation });
+  },
+  /**
+   * Internal function to set an option on a taxonomy.  Do not call directly.
+   * @function __setTaxOption
+   * @private
+   * @param {string} taxonomy The taxonomy to use
+   * @param {string} option The option name
+   * @param {*} value The option value
+   */
+  __setTaxOption(taxonomy, option, value) {
+    this.__setParamKey('tax_options', taxonomy, extend({}, this.params.tax_options[taxonomy], { [option]: value }));
+  },
+  /**
+   * Internal function to remove terms from a per-taxonomy list in params, such as tax_exclude.  Do not call directly.
+   * @function __removeFromTaxList
+   * @private
+   * @param {string} list The params key of the list
+   * @param {string} taxonomy The taxonomy to use
+   * @param {Array.<number>} terms The IDs of the terms to remove
+   */
+  __removeFromTaxList(list, taxonomy, terms) {
+    const current = get(this.params, [list, taxonomy]);
+
+    if (current && current.some((term) => terms.indexOf(term) !== -1)) {
+      this.__setParamKey(
+        list,
+        taxonomy,
+        current.filter((term) => terms.indexOf(term) === -1)
+      );
+    }
+  },
+  /**
+   * Check whether a term is currently selected
+   * @function isTermSelected
+   * @param {string} taxonomy The taxonomy to use
+   * @param {number} id The ID of the term
+   * @returns {boolean} Whether or not the term is selected
+   */
+  isTermSelected(taxonomy, id) {
+    return !!this.params[taxonomy] && this.params[taxonomy].indexOf(id) !== -1;
+  },
+  /**
+   * Check whether a term is currently excluded
+   * @function isTermExcluded
+   * @param {string} taxonomy The taxonomy to use
+   * @param {number} id The ID of the term
+   * @returns {boolean} Whether or not the term is excluded
+   */
+  isTermExcluded(taxonomy, id) {
+    const excluded = get(this.params, ['tax_exclude', taxonomy]);
+
+    return !!excluded && excluded.indexOf(id) !== -1;
+  },
+  /**
+   * Get a loaded term by ID
+   * @function getTerm
+   * @param {string} taxonomy The taxonomy to use
+   * @param {number} id The ID of the term
+   * @returns {Object|undefined} The term, if it has been loaded
+   */
+  getTerm(taxonomy, id) {
+    return (this.taxonomy_terms[taxonomy] || []).find((term) => term.id === id);
+  },
+  /**
+   * Load every term for each taxonomy in initial_taxonomies into taxonomy_terms.  Called on creation when load_terms is set.
+   * @function loadTerms
+   * @returns {Promise}
+   */
+  async loadTerms() {
+    this.__setState({ terms_loading: true, terms_error: null });
+
+    try {
+      const taxonomies = Object.keys(this.initial_taxonomies);
+      const terms = await Promise.all(taxonomies.map((taxonomy) => this.__fetchAllTerms(taxonomy)));
+      const taxonomy_terms = {};
+
+      taxonomies.forEach((taxonomy, index) => {
+        taxonomy_terms[taxonomy] = terms[index];
+      });
+
+      this.__setState({ taxonomy_terms: taxonomy_terms });
+    } catch (error) {
+      this.__setState({ terms_error: error });
+    }
+
+    this.__setState({ terms_loading: false });
+  },
+  /**
+   * Internal function to fetch every page of terms in a taxonomy.  Do not call directly.
+   * @function __fetchAllTerms
+   * @private
+   * @param {string} taxonomy The taxonomy's REST base (e.g. categories)
+   * @returns {Promise.<Array.<Object>>} All terms in the taxonomy
+   */
+  async __fetchAllTerms(taxonomy) {
+    const fetchPage = async (page) => {
+      const termsURL = this.constructEndpointURL(taxonomy);
+      const query = extend({ per_page: 100, _fields: 'id,name,slug,parent,count,link,taxonomy,description' }, this.terms_query, { page: page });
+
+      for (const key in query) {
+        this.__appendSearchParam(termsURL.searchParams, key, query[key]);
+      }
+
+      const fetchResponse = await this.fetchJSON(termsURL);
+
+      return {
+        body: fetchResponse.body,
+        total_pages: parseInt(fetchResponse.headers.get('x-wp-totalpages')) || 1,
+      };
+    };
+
+    const first = await fetchPage(1);
+    const rest = await Promise.all(range(2, first.total_pages + 1).map(fetchPage));
+
+    return [].concat(first.body, ...rest.map((response) => response.body));
+  },
+  /**
+   * Add a transformer to run on every resource, e.g. one of the built in transformers (decodeEntities, readingTime, formattedDates, embeddedAuthor, acfFields) or your own (resource, raw) => resource function
+   * @function addTransformer
+   * @param {function} transformer The transformer.  It may modify and return the resource it is given, but must not modify raw
+   * @param {string|Array.<string>} post_type Only run the transformer on resources of these post types (e.g. "post", as returned in the type field)
+   * @example this.addTransformer(transformers.readingTime());
+   */
+  addTransformer(transformer, post_type) {
+    this.__setState({ resource_transformers: this.resource_transformers.concat(post_type ? forPostType(post_type, transformer) : transformer) });
+  },
+  /**
+   * Helper function to join taxonomy terms into a string to display on the front end
+   * @function joinTerms
+   * @param {Object} item The item to join terms from
+   * @param {string} taxonomy The taxonomy to use
+   * @param separator {string} The separator to use
+   */
+  joinTerms(item, taxonomy, separator = ', ') {
+    if (!item.terms[taxonomy] || item.terms[taxonomy].constructor !== Array) {
+      return '';
+    } else {
+      return item.terms[taxonomy]
+        .map((item) => {
+          return item.name;
+        })
+        .join(separator);
+    }
+  },
+  /**
+   * Set whether to order results in ascending or descending order
+   * @function setOrder
+   * @param {string} order Order direction. One of "asc" or "desc"
+   * @param {function} callback
+   */
+  setOrder(order, callback) {
+    if (order !== 'asc' && order !== 'desc') {
+      throw new ResourceLibraryError('Order must be either asc or desc');
+    }
+
+    this.__updateParams({ order: order });
+
+    if (callback instanceof Function) {
+      callback(order);
+    }
+  },
+  /**
+   * Set the field to order results by
+   * @function setOrderBy
+   * @param {string} orderby The field to order by
+   * @param {function} callback
+   */
+  setOrderBy(orderby, callback) {
+    this.__updateParams({ orderby: orderby });
+
+    if (callback instanceof Function) {
+      callback(orderby);
+    }
+  },
+  /**
+   * Convenience method to select an orderby and set the appropriate order, or toggle the order if already selected.
+   * @function selectOrderBy
+   * @param {string} orderby The field to order by
+   * @param {string} default_order Order direction.  One of  "asc" or "desc".  This will be used to sort results if the order has not been explicitly set.
+   * @param {function} callback
+   */
+  selectOrderBy(orderby, default_order, callback) {
+    if (!default_order) {
+      default_order = 'asc';
+    }
+
+    if (this.params.orderby === orderby) {
+      this.toggleOrder();
+    } else {
+      this.setOrder(default_order);
+    }
+
+    this.setOrderBy(orderby);
+
+    if (callback instanceof Function) {
+      callback(orderby, default_order);
+    }
+  },
+  /**
+   * Convenience method to see what we're ordered by in order to deal with postmeta
+   * @function isOrderedBy
+   * @param {string} orderby The field to order by
+   * @param {string} order The direction to order in
+   * @returns {boolean} Whether or not results are currently ordered by orderby, and sorted in the order direction
+   */
+  isOrderedBy(orderby, order) {
+    return this.params.orderby === orderby && this.params.order === order;
+  },
+  /**
+   * Toggle the order direction from asc to desc or from desc to asc
+   * @function toggleOrder
+   */
+  toggleOrder() {
+    if (this.params.order === 'asc') {
+      this.setOrder('desc');
+    } else {
+      this.setOrder('asc');
+    }
+  },
+  /**
+   * Filter on the date posts were published or last modified.  Dates without a time include the whole day, so setDateRange('2024-05-01', '2024-05-31') is all of May.
+   * @function setDateRange
+   * @param {Date|string|null} from The earliest date, as a Date or a string in the format YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS, in the site's timezone.  Pass null for no lower bound
+   * @param {Date|string|null} to The latest date.  Pass null for no upper bound
+   * @param {string} field The date to filter on.  One of "date" (published) or "modified"
+   */
+  setDateRange(from, to, field = 'date') {
+    const keys = this.__dateRangeKeys(field);
+    const after = this.__parseDate(from);
+    const before = this.__parseDate(to);
+
+    if (after === null || before === null) {
+      throw new ResourceLibraryError('Dates must be Date objects or strings in the format YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS');
+    }
+
+    this.__updateParams({ [keys.after]: after, [keys.before]: before });
+  },
+  /**
+   * Clear date filters
+   * @function clearDateRange
+   * @param {string} [field] The date to clear the filter on.  One of "date" or "modified".  Clears both if omitted
+   */
+  clearDateRange(field) {
+    (field ? [field] : ['date', 'modified']).forEach((date_field) => this.setDateRange(null, null, date_field));
+  },
+  /**
+   * Show a year's archive
+   * @function setYear
+   * @param {number} year The year (e.g. 2024)
+   * @param {string} field The date to filter on.  One of "date" or "modified"
+   */
+  setYear(year, field) {
+    this.setDateRange(`${String(year).padStart(4, '0')}-01-01`, `${String(year).padStart(4, '0')}-12-31`, field);
+  },
+  /**
+   * Show a month's archive
+   * @function setMonth
+   * @param {number} year The year (e.g. 2024)
+   * @param {number} month The month, from 1 (January) to 12
+   * @param {string} field The date to filter on.  One of "date" or "modified"
+   */
+  setMonth(year, month, field) {
+    if (!(month >= 1 && month <= 12)) {
+      throw new ResourceLibraryError('Month must be between 1 and 12');
+    }
+
+    const prefix = `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}`;
+    const last_day = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    this.setDateRange(`${prefix}-01`, `${prefix}-${last_day}`, field);
+  },
+  /**
+   * Internal function to get the params for a date filter.  Do not call directly.
+   * @function __dateRangeKeys
+   * @private
+   * @param {string} field One of "date" or "modified"
+   * @returns {Object} The param names ({ after, before })
+   */
+  __dateRangeKeys(field) {
+    if (field === 'date') {
+      return { after: 'after', before: 'before' };
+    } else if (field === 'modified') {
+      return { after: 'modified_after', before: 'modified_before' };
+    }
+
+    throw new ResourceLibraryError('Date field must be either date or modified');
+  },
+  /**
+   * Internal function to parse a date for the date params.  Do not call directly.
+   * @function __parseDate
+   * @private
+   * @param {Date|string|null} value A Date, or a string in the format YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS.  Dates at midnight are treated as dates without a time
+   * @returns {string|null} The date as YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS, an empty string for no date, or null if it isn't a valid date
+   */
+  __parseDate(value) {
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) {
+        return null;
+      }
+
+      const date = `${String(value.getFullYear()).padStart(4, '0')}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+      const time = `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+
+      return time === '00:00:00' ? date : `${date}T${time}`;
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(value).trim());
+
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds = '00'] = match;
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    // Reject dates that don't exist, like 2023-02-29, rather than letting them roll over
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== Number(day) || hours > 23 || minutes > 59 || seconds > 59) {
+      return null;
+    }
+
+    return hours === undefined ? `${year}-${month}-${day}` : `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+  },
+  /**
+   * Internal function to add days to a date.  Do not call directly.
+   * @function __shiftDate
+   * @private
+   * @param {string} date The date, as YYYY-MM-DD
+   * @param {number} days The number of days to add.  May be negative
+   * @returns {string} The date, as YYYY-MM-DD
+   */
+  __shiftDate(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1, day + days));
+
+    return `${String(shifted.getUTCFullYear()).padStart(4, '0')}-${String(shifted.getUTCMonth() + 1).padStart(2, '0')}-${String(shifted.getUTCDate()).padStart(2, '0')}`;
+  },
+  /**
+   * Set a filter on a meta-value.  Replaces any existing filter on the field.  The REST API ignores meta queries unless the endpoint allows them, see sample/rest-meta-query.php.
+   * @function setMetaFilter
+   * @param {string} field The meta field to set the filter on
+   * @param {string|number|Date|Array} value The value to filter on.  Pass an array for IN, NOT IN, BETWEEN and NOT BETWEEN.  Dates may be Date objects for the DATE and DATETIME types
+   * @param {string} compare The comparison operator (e.g. "=", ">=", "LIKE", "IN", "BETWEEN", "EXISTS").  Defaults to "=", or "IN" for array values
+   * @param {string} type The type to cast the meta value to (e.g. "NUMERIC", "DATE", "CHAR")
+   */
+  setMetaFilter(field, value, compare, type) {
+    this.__setParamKey('meta_query', field, this.__metaClause({ field, value, compare, type }));
+  },
+  /**
+   * Set a nested group of meta filters with their own relation, e.g. to express "(A OR B) AND C".  Replaces any existing filter or group with the same name.
+   * @function setMetaGroup
+   * @param {string} name The name of the group
+   * @param {string} relation How the clauses in the group are combined.  One of "AND" or "OR"
+   * @param {Array.<Object>|Object} clauses The clauses in the group, as { field, value, compare, type }.  Clauses may themselves be groups ({ relation, clauses })
+   */
+  setMetaGroup(name, relation, clauses) {
+    this.__setParamKey('meta_query', name, this.__metaGroup(relation, clauses));
+  },
+  /**
+   * Set how the top level meta filters and groups are combined
+   * @function setMetaRelation
+   * @param {string} relation One of "AND" or "OR"
+   */
+  setMetaRelation(relation) {
+    this.__setParamKey('meta_query', 'relation', this.__metaRelation(relation));
+  },
+  /**
+   * Remove filters on a meta field, or a group of meta filters
+   * @function removeMetaFilter
+   * @param {string} field The meta field or group name to delete the filter on
+   */
+  removeMetaFilter(field) {
+    if (Object.hasOwnProperty.call(this.params.meta_query, field)) {
+      const meta_query = extend({}, this.params.meta_query);
+      delete meta_query[field];
+
+      this.__updateParams({ meta_query: meta_query });
+    }
+  },
+  /**
+   * Clear all meta filters
+   * @function clearMetaFilters
+   */
+  clearMetaFilters() {
+    this.__updateParams({ meta_query: {} });
+  },
+  /**
+   * Filter on a date stored in a meta field (e.g. an event date), with a DATE comparison.  Dates without a time include the whole day, and a time on either end
+   * compares as DATETIME instead.  Pass null for both dates to remove the filter.
+   * @function setMetaDateRange
+   * @param {string} field The meta field
+   * @param {Date|string|null} from The earliest date, as a Date or a string in the format YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS.  Pass null for no lower bound
+   * @param {Date|string|null} to The latest date.  Pass null for no upper bound
+   */
+  setMetaDateRange(field, from, to) {
+    const dates = [this.__parseDate(from), this.__parseDate(to)];
+
+    if (dates.indexOf(null) !== -1) {
+      throw new ResourceLibraryError('Dates must be Date objects or strings in the format YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS');
+    }
+
+    if (!dates[0] && !dates[1]) {
+      this.removeMetaFilter(field);
+      return;
+    }
+
+    const type = dates.some((date) => date.length > 10) ? 'DATETIME' : 'DATE';
+    const [after, before] = dates.map((date, index) => this.__metaDateValue(date, type, index === 1));
+
+    if (after && before) {
+      this.setMetaFilter(field, [after, before], 'BETWEEN', type);
+    } else {
+      this.setMetaFilter(field, after || before, after ? '>=' : '<=', type);
+    }
+  },
+  /**
+   * Internal function to format a date for a DATE or DATETIME meta comparison.  Do not call directly.
+   * @function __metaDateValue
+   * @private
+   * @param {Date|string} value The date
+   * @param {string} type One of "DATE" or "DATETIME"
+   * @param {boolean} end Whether the date is the end of a range, so a date without a time takes in the whole day
+   * @returns {string} The date as MySQL expects it (YYYY-MM-DD or YYYY-MM-DD HH:MM:SS), or the value as is if it isn't a date
+   */
+  __metaDateValue(value, type, end) {
+    const date = this.__parseDate(value);
+
+    if (!date) {
+      return value;
+    }
+
+    if (type === 'DATE') {
+      return date.substring(0, 10);
+    }
+
+    return date.length === 10 ? `${date} ${end ? '23:59:59' : '00:00:00'}` : date.replace('T', ' ');
+  },
+  /**
+   * Internal function to validate and build a meta filter clause.  Do not call directly.
+   * @function __metaClause
+   * @private
+   * @param {Object} clause The clause ({ field, value, compare, type }), or a group ({ relation, clauses })
+   * @returns {Object} The clause to store in params
+   */
+  __metaClause(clause) {
+    if (clause.clauses) {
+      return this.__metaGroup(clause.relation, clause.clauses);
+    }
+
+    const meta_clause = {
+      field: clause.field,
+      value: clause.value,
+    };
+
+    if (clause.compare) {
+      meta_clause.compare = clause.compare.toUpperCase();
+
+      if (this.__valid_meta_compares.indexOf(meta_clause.compare) === -1) {
+        throw new ResourceLibraryError('Compare must be one of: ' + this.__valid_meta_compares.join(', '));
+      }
+    }
+
+    if (clause.type) {
+      meta_clause.type = clause.type.toUpperCase();
+    }
+
+    // Dates need to be in the format MySQL casts from, and a date without a time at the end of a range takes in the whole day
+    if (meta_clause.type === 'DATE' || meta_clause.type === 'DATETIME') {
+      const end = ['<=', '>'].indexOf(meta_clause.compare) !== -1;
+
+      meta_clause.value =
+        meta_clause.value instanceof Array
+          ? meta_clause.value.map((value, index) => this.__metaDateValue(value, meta_clause.type, index === 1 && /BETWEEN/.test(meta_clause.compare)))
+          : this.__metaDateValue(meta_clause.value, meta_clause.type, end);
+    }
+
+    return meta_clause;
+  },
+  /**
+   * Internal function to validate and build a group of meta filter clauses.  Do not call directly.
+   * @function __metaGroup
+   * @private
+   * @param {string} relation How the clauses in the group are combined
+   * @param {Array.<Object>|Object} clauses The clauses in the group
+   * @returns {Object} The group to store in params
+   */
+  __metaGroup(relation, clauses) {
+    const group = { relation: this.__metaRelation(relation) };
+
+    // Arrays of clauses are keyed by index, so the same field can appear more than once in a group
+    map(clauses, (clause, key) => {
+      group[key] = this.__metaClause(clause);
+    });
+
+    return group;
+  },
+  /**
+   * Internal function to validate a meta query relation.  Do not call directly.
+   * @function __metaRelation
+   * @private
+   * @param {string} relation One of "AND" or "OR"
+   * @returns {string} The normalized relation
+   */
+  __metaRelation(relation) {
+    relation = (relation || 'AND').toUpperCase();
+
+    if (relation !== 'AND' && relation !== 'OR') {
+      throw new ResourceLibraryError('Relation must be either AND or OR');
+    }
+
+    return relation;
+  },
+  /**
+   * Get the params that the resource library was initialized with
+   * @function initialParams
+   * @returns {Object} Object of initial values
+   */
+  initialParams() {
+    return {
+      per_page: this.per_page,
+      search: this.initial_search,
+      order: this.initial_order,
+      orderby: this.initial_orderby,
+      pagenum: this.initial_page,
+      tax_relation: this.initial_tax_relation,
+      tax_exclude: cloneDeep(this.initial_tax_exclude),
+      tax_options: cloneDeep(this.initial_tax_options),
+      meta_query: cloneDeep(this.initial_meta_query),
+      after: this.__parseDate(this.initial_date_range.after) || '',
+      before: this.__parseDate(this.initial_date_range.before) || '',
+      modified_after: this.__parseDate(this.initial_date_range.modified_after) || '',
+      modified_before: this.__parseDate(this.initial_date_range.modified_before) || '',
+      ver: this.ver, // Including version for cache invalidation
+    };
+  },
+  /**
+   * Reset params to their initial values
+   * @function reset
+   */
+  reset() {
+    this.__setParams(this.__defaultParams());
+  },
+  /**
+   * Save the current search, filters and order as a named preset, replacing any preset with the same name.  The page, per_page and ver aren't saved, so presets keep working when they change.
+   * @function savePreset
+   * @param {string} name The preset name (e.g. "2024 case studies in healthcare")
+   * @returns {Object} The preset ({ name, params, saved })
+   */
+  savePreset(name) {
+    const params = cloneDeep(this.params);
+    delete params.pagenum;
+    delete params.per_page;
+    delete params.ver;
+
+    const preset = { name: name, params: params, saved: Date.now() };
+
+    this.__setState({ presets: this.presets.filter((item) => item.name !== name).concat(preset) });
+    this.__presets.save(this.presets);
+
+    return preset;
+  },
+  /**
+   * Apply a saved preset.  This replaces every param at once, so it makes one request and adds one history entry.
+   * @function applyPreset
+   * @param {string} name The preset name
+   * @returns {boolean} Whether the preset exists
+   */
+  applyPreset(name) {
+    const preset = this.presets.find((item) => item.name === name);
+
+    if (!preset) {
+      return false;
+    }
+
+    const params = this.__presetParams(preset);
+
+    if (!isEqual(params, this.params)) {
+      this.__setParams(params);
+    }
+
+    return true;
+  },
+  /**
+   * Get the saved presets
+   * @function listPresets
+   * @returns {Array.<Object>} The presets ({ name, params, saved }), in the order they were saved
+   */
+  listPresets() {
+    return this.presets.slice();
+  },
+  /**
+   * Delete a saved preset
+   * @function deletePreset
+   * @param {string} name The preset name
+   * @returns {boolean} Whether the preset existed
+   */
+  deletePreset(name) {
+    const presets = this.presets.filter((item) => item.name !== name);
+
+    if (presets.length === this.presets.length) {
+      return false;
+    }
+
+    this.__setState({ presets: presets });
+    this.__presets.save(this.presets);
+
+    return true;
+  },
+  /**
+   * Get a shareable URL for a saved preset, in the same format as the page URL
+   * @function presetURL
+   * @param {string} name The preset name
+   * @returns {string|null} The URL, or null if the preset doesn't exist.  Absolute, unless there is no window
+   */
+  presetURL(name) {
+    const preset = this.presets.find((item) => item.name === name);
+
+    if (!preset) {
+      return null;
+    }
+
+    const url = this.__historyURL(this.__presetParams(preset));
+    const href = this.__history.createHref ? this.__history.createHref(url) : url;
+
+    return typeof location !== 'undefined' ? new URL(href, location.href).href : href;
+  },
+  /**
+   * Internal function to get the params a preset applies.  Params the preset doesn't have are reset, and params this instance no longer has are dropped.  Do not call directly.
+   * @function __presetParams
+   * @private
+   * @param {Object} preset The preset
+   * @returns {Object} The params
+   */
+  __presetParams(preset) {
+    const params = this.__defaultParams();
+
+    Object.keys(preset.params).forEach((key) => {
+      if (Object.hasOwnProperty.call(params, key) && ['pagenum', 'per_page', 'ver'].indexOf(key) === -1) {
+        params[key] = cloneDeep(preset.params[key]);
+      }
+    });
+
+    params.pagenum = 1;
+
+    return params;
+  },
+  /**
+   * Internal function to get the initial params including the initial taxonomies.  Do not call directly.
+   * @function __defaultParams
+   * @private
+   * @returns {Object} Object of initial values
+   */
+  __defaultParams() {
+    return merge({}, this.initialParams(), this.initial_taxonomies);
+  },
+  /**
+   * In case you need to communicate with something outside of the library, call this to trigger an event on the root element (the el option, or the Vue root element for the mixin).  Attach a function to the root element to then interact with the function.  The args will be passed to the "detail" arg in the function
+   * @function triggerRootEvent
+   * @param {string} event The event type to trigger
+   * @param {string} args The args to pass to the triggered function
+   */
+  triggerRootEvent(event, args) {
+    const el = this.__el instanceof Function ? this.__el() : this.__el;
+
+    // There's no element to dispatch on before mounting, or when rendering on the server
+    if (!el || !el.dispatchEvent || typeof CustomEvent === 'undefined') {
+      return;
+    }
+
+    el.dispatchEvent(new CustomEvent(event, { detail: args }));
+  },
+  /**
+   * Serialize URL params.  Only params that differ from their initial values are included, using the keys from url_keys (e.g. s=foo&categories=3,4&pg=2).
+   * Taxonomy options are written per taxonomy (e.g. categories_op=and&categories_children=1), and meta filters per clause (e.g. meta_query.price=10,50&meta_query.price.compare=between).
+   * @function serializeParams
+   * @param {Object} params An object of key:value pairs corresponding to the URL params
+   * @returns {string} A URL param string (e.g. param1=value1&param2=value2)
+   */
+  serializeParams(params) {
+    const defaults = this.__defaultParams();
+    const url_params = new URLSearchParams();
+
+    Object.keys(params).forEach((key) => {
+      const value = params[key];
+
+      if (isEqual(value, defaults[key]) || value === undefined || value === null) {
+        return;
+      }
+
+      if (key === 'tax_exclude') {
+        map(value, (terms, taxonomy) => {
+          if (terms.length > 0) {
+            url_params.append(this.__urlKey(taxonomy) + '_exclude', this.__serializeTerms(taxonomy, terms));
+          }
+        });
+      } else if (key === 'tax_options') {
+        map(value, (options, taxonomy) => {
+          const initial = get(defaults, ['tax_options', taxonomy], {});
+
+          if (options.operator && options.operator !== initial.operator) {
+            url_params.append(this.__urlKey(taxonomy) + '_op', options.operator.toLowerCase());
+          }
+
+          if (options.include_children !== undefined && options.include_children !== initial.include_children) {
+            url_params.append(this.__urlKey(taxonomy) + '_children', options.include_children ? 1 : 0);
+          }
+        });
+      } else if (key === 'meta_query') {
+        this.__serializeMetaQuery(url_params, value);
+      } else if (value.constructor === Array) {
+        url_params.append(this.__urlKey(key), this.__serializeTerms(key, value));
+      } else if (isPlainObject(value)) {
+        url_params.append(this.__urlKey(key), JSON.stringify(value));
+      } else {
+        url_params.append(this.__urlKey(key), value);
+      }
+    });
+
+    // Keep commas readable, since they're only used as separators
+    return url_params.toString().replace(/%2C/g, ',');
+  },
+  /**
+   * Unserialize URL params to an object.  Unknown keys are ignored, and links in the old JSON encoded format are still understood.
+   * @function unserializeParams
+   * @param {string} param_string A URL param string (e.g. param1=value1&param2=value2)
+   * @returns {Object} An object with key:value pairs corresponding to the URL params
+   */
+  unserializeParams(param_string) {
+    const defaults = this.__defaultParams();
+    const params = {};
+    const meta_entries = [];
+
+    new URLSearchParams(param_string).forEach((value, url_key) => {
+      const param = this.__paramForURLKey(url_key, defaults);
+
+      if (param && param.exclude) {
+        params.tax_exclude = params.tax_exclude || {};
+        params.tax_exclude[param.exclude] = this.__parseURLValue(value, []) || [];
+      } else if (param && param.tax_option) {
+        const option = this.__parseTaxOption(param.option, value);
+
+        if (option !== undefined) {
+          params.tax_options = params.tax_options || cloneDeep(defaults.tax_options);
+          params.tax_options[param.tax_option] = extend({}, params.tax_options[param.tax_option], { [param.option]: option });
+        }
+      } else if (param && param.meta) {
+        meta_entries.push([param.meta, value]);
+      } else if (param && param.key === 'meta_query' && value === '') {
+        // Written when every meta filter has been removed from a non-empty initial meta query
+        params.meta_query = {};
+      } else if (param) {
+        const parsed = this.__parseURLValue(value, defaults[param.key]);
+
+        if (parsed !== undefined) {
+          params[param.key] = parsed;
+        }
+      }
+    });
+
+    if (meta_entries.length > 0) {
+      params.meta_query = this.__parseMetaQuery(meta_entries);
+    }
+
+    // Drop hand-edited values that would otherwise make the query invalid
+    if (params.order !== undefined && params.order !== 'asc' && params.order !== 'desc') {
+      delete params.order;
+    }
+
+    if (params.orderby !== undefined && !this.meta_fields[params.orderby] && this.__valid_orderbys.indexOf(params.orderby) === -1) {
+      delete params.orderby;
+    }
+
+    if (params.pagenum !== undefined && !(params.pagenum >= 1)) {
+      delete params.pagenum;
+    }
+
+    ['after', 'before', 'modified_after', 'modified_before'].forEach((key) => {
+      if (params[key] !== undefined && this.__parseDate(params[key]) === null) {
+        delete params[key];
+      }
+    });
+
+    return params;
+  },
+  /**
+   * Internal function to get the URL key for a param.  Do not call directly.
+   * @function __urlKey
+   * @private
+   * @param {string} key The param name
+   * @returns {string} The key to use in the page URL
+   */
+  __urlKey(key) {
+    return this.__url_prefix + (this.__url_keys[key] || key);
+  },
+  /**
+   * Internal function to find which param a key in the page URL belongs to.  Do not call directly.
+   * @function __paramForURLKey
+   * @private
+   * @param {string} url_key The key in the page URL
+   * @param {Object} defaults The default params
+   * @returns {Object|null} { key } for a param, { exclude } with the taxonomy for excluded terms, { tax_option, option } for a taxonomy option, { meta } with the
+   * path of a meta filter, or null if the key belongs to something else
+   */
+  __paramForURLKey(url_key, defaults) {
+    const keys = Object.keys(defaults).filter((key) => key !== 'tax_exclude');
+    const meta_prefix = this.__urlKey('meta_query') + '.';
+
+    if (url_key.indexOf(meta_prefix) === 0 && url_key.length > meta_prefix.length) {
+      return { meta: url_key.slice(meta_prefix.length) };
+    }
+
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+
+      // Old links used the full param names, and had no namespace
+      if (url_key === this.__urlKey(key) || (!this.namespace && url_key === key)) {
+        return { key: key };
+      }
+
+      if (defaults[key] instanceof Array && (url_key === this.__urlKey(key) + '_exclude' || (!this.namespace && url_key === key + '_exclude'))) {
+        return { exclude: key };
+      }
+
+      if (defaults[key] instanceof Array && url_key === this.__urlKey(key) + '_op') {
+        return { tax_option: key, option: 'operator' };
+      }
+
+      if (defaults[key] instanceof Array && url_key === this.__urlKey(key) + '_children') {
+        return { tax_option: key, option: 'include_children' };
+      }
+    }
+
+    return null;
+  },
+  /**
+   * Internal function to parse a taxonomy option from the page URL.  Do not call directly.
+   * @function __parseTaxOption
+   * @private
+   * @param {string} option The option name, operator or include_children
+   * @param {string} value The raw value
+   * @returns {string|boolean|undefined} The parsed value, or undefined if it isn't valid
+   */
+  __parseTaxOption(option, value) {
+    if (option === 'operator') {
+      value = value.toUpperCase();
+
+      return value === 'AND' || value === 'OR' ? value : undefined;
+    }
+
+    return { 1: true, true: true, 0: false, false: false }[value];
+  },
+  /**
+   * Internal function to append a meta query to the page URL params, one param per clause value, field, compare and type, and per group relation.
+   * Clauses are named by their path (e.g. meta_query.price, or meta_query.when.0 for the first clause in a group named "when").  Do not call directly.
+   * @function __serializeMetaQuery
+   * @private
+   * @param {URLSearchParams} url_params The params to append to
+   * @param {Object} meta_query The meta query from params
+   */
+  __serializeMetaQuery(url_params, meta_query) {
+    const base = this.__urlKey('meta_query');
+
+    if (Object.keys(meta_query).length === 0) {
+      url_params.append(base, '');
+      return;
+    }
+
+    const append = (group, path) => {
+      map(group, (clause, name) => {
+        const key = [base].concat(path, name).join('.');
+
+        if (name === 'relation') {
+          url_params.append(key, clause.toLowerCase());
+        } else if (clause.field === undefined) {
+          append(clause, path.concat(name));
+        } else {
+          if (clause.field !== name) {
+            url_params.append(key + '.field', clause.field);
+          }
+
+          url_params.append(key, clause.value instanceof Array ? clause.value.join(',') : clause.value === undefined || clause.value === null ? '' : clause.value);
+
+          ['compare', 'type'].forEach((attribute) => {
+            if (clause[attribute]) {
+              url_params.append(key + '.' + attribute, clause[attribute].toLowerCase());
+            }
+          });
+        }
+      });
+    };
+
+    append(meta_query, []);
+  },
+  /**
+   * Internal function to build a meta query from the page URL params written by __serializeMetaQuery.  Clauses and groups with an invalid compare or relation are
+   * dropped.  Do not call directly.
+   * @function __parseMetaQuery
+   * @private
+   * @param {Array.<Array>} entries [path, value] pairs, with the path relative to the meta query key (e.g. ["price.compare", "between"])
+   * @returns {Object} The meta query to store in params
+   */
+  __parseMetaQuery(entries) {
+    const attributes = ['field', 'compare', 'type', 'relation'];
+    const root = { children: {} };
+
+    entries.forEach(([path, value]) => {
+      const parts = path.split('.');
+      const last = parts[parts.length - 1];
+      const attribute = (parts.length > 1 && attributes.indexOf(last) !== -1) || last === 'relation' ? parts.pop() : 'value';
+      let node = root;
+
+      parts.forEach((part) => {
+        node.children = node.children || {};
+        node = node.children[part] = node.children[part] || {};
+      });
+
+      node[attribute] = value;
+    });
+
+    const parseValue = (value) => (String(Number(value)) === value ? Number(value) : value);
+    const build = (node, name, top) => {
+      if (node.children) {
+        const relation = node.relation === undefined ? (top ? undefined : 'AND') : node.relation.toUpperCase();
+
+        if (relation !== undefined && relation !== 'AND' && relation !== 'OR') {
+          return null;
+        }
+
+        const group = relation === undefined ? {} : { relation: relation };
+
+        map(node.children, (child, key) => {
+          const clause = build(child, key, false);
+
+          if (clause) {
+            group[key] = clause;
+          }
+        });
+
+        return group;
+      }
+
+      const compare = node.compare ? node.compare.toUpperCase() : undefined;
+
+      if (compare !== undefined && this.__valid_meta_compares.indexOf(compare) === -1) {
+        return null;
+      }
+
+      const clause = {
+        field: node.field || name,
+        value: node.value === undefined || node.value === '' ? undefined : ['IN', 'NOT IN', 'BETWEEN', 'NOT BETWEEN'].indexOf(compare) !== -1 ? node.value.split(',').map(parseValue) : parseValue(node.value),
+      };
+
+      if (compare) {
+        clause.compare = compare;
+      }
+
+      if (node.type) {
+        clause.type = node.type.toUpperCase();
+      }
+
+      return clause;
+    };
+
+    return build(root, null, true) || {};
+  },
+  /**
+   * Internal function to serialize a list of term IDs, as slugs if url_term_slugs is set and the terms are loaded.  Do not call directly.
+   * @function __serializeTerms
+   * @private
+   * @param {string} taxonomy The taxonomy to use
+   * @param {Array.<number>} terms The term IDs
+   * @returns {string} A comma separated list
+   */
+  __serializeTerms(taxonomy, terms) {
+    return terms
+      .map((id) => {
+        if (!this.url_term_slugs) {
+          return id;
+        }
+
+        const term = this.getTerm(taxonomy, id);
+
+        return term ? term.slug : get(this.__term_slugs, [taxonomy, id], id);
+      })
+      .join(',');
+  },
+  /**
+   * Internal function to parse a value from the page URL, using the initial value to decide its type.  Do not call directly.
+   * @function __parseURLValue
+   * @private
+   * @param {string} value The raw value
+   * @param {*} default_value The param's initial value
+   * @returns {*} The parsed value, or undefined if it isn't valid
+   */
+  __parseURLValue(value, default_value) {
+    // Old links JSON encoded every value
+    if (/^["\[{]/.test(value)) {
+      try {
+        const parsed = JSON.parse(value);
+
+        if (typeof parsed === typeof default_value) {
+          return parsed;
+        }
+      } catch (error) {
+        // Not JSON after all, so treat it as a plain value
+      }
+    }
+
+    if (typeof default_value === 'number') {
+      const number = Number(value);
+
+      return value !== '' && isFinite(number) ? number : undefined;
+    } else if (default_value instanceof Array) {
+      return value
+        .split(',')
+        .filter((term) => term !== '')
+        .map((term) => (/^\d+$/.test(term) ? parseInt(term) : term));
+    } else if (isPlainObject(default_value)) {
+      return undefined;
+    }
+
+    return value;
+  },
+  /**
+   * Internal function to replace term slugs from the page URL with term IDs.  Do not call directly.
+   * @function __resolveTermSlugs
+   * @private
+   * @param {Object} params Params which may contain term slugs
+   * @returns {Promise.<Object>} The params with only term IDs
+   */
+  async __resolveTermSlugs(params) {
+    const resolveList = async (taxonomy, terms) => {
+      const slugs = terms.filter((term) => typeof term === 'string');
+
+      if (slugs.length === 0) {
+        return terms;
+      }
+
+      let found = (this.taxonomy_terms[taxonomy] || []).filter((term) => slugs.indexOf(term.slug) !== -1);
+
+      if (found.length < slugs.length) {
+        try {
+          const termsURL = this.constructEndpointURL(taxonomy);
+          termsURL.searchParams.append('slug', slugs.join(','));
+          termsURL.searchParams.append('_fields', 'id,slug');
+          termsURL.searchParams.append('per_page', 100);
+          found = (await this.fetchJSON(termsURL)).body;
+        } catch (error) {
+          found = [];
+        }
+      }
+
+      // Remember the slugs so the URL keeps using them without loading every term
+      found.forEach((item) => {
+        this.__term_slugs[taxonomy] = extend({}, this.__term_slugs[taxonomy], { [item.id]: item.slug });
+      });
+
+      return terms
+        .map((term) => {
+          const match = typeof term === 'string' && found.find((item) => item.slug === term);
+
+          return match ? match.id : term;
+        })
+        .filter((term) => typeof term === 'number');
+    };
+
+    const resolved = extend({}, params);
+
+    await Promise.all(
+      Object.keys(params).map(async (key) => {
+        if (key === 'tax_exclude') {
+          resolved.tax_exclude = {};
+          await Promise.all(
+            map(params.tax_exclude, async (terms, taxonomy) => {
+              resolved.tax_exclude[taxonomy] = await resolveList(taxonomy, terms);
+            })
+          );
+        } else if (params[key] instanceof Array) {
+          resolved[key] = await resolveList(key, params[key]);
+        }
+      })
+    );
+
+    return resolved;
+  },
+  /**
+   * Internal function to initialize browser history.  Do not call directly.
+   * @function __initHistory
+   * @private
+   */
+  __initHistory() {
+    this.__history = createHistoryAdapter(this.history_mode, { router: this.__router, initial_url: this.server_url });
+    // Allows back button navigation
+    this.__unlisten_history = this.__history.listen(({ location, action }) => {
+      if (action === 'POP') {
+        this.__onHistoryPop(location);
+      }
+    });
+  },
+  /**
+   * Internal function to stop listening to history.  Do not call directly.
+   * @function __destroyHistory
+   * @private
+   */
+  __destroyHistory() {
+    if (this.__unlisten_history) {
+      this.__unlisten_history();
+      this.__unlisten_history = null;
+    }
+  },
+  /**
+   * Make the next params change replace the current history state instead of pushing a new one, e.g. while typing a search.  Returns the component so calls can be chained.
+   * @function replaceHistory
+   * @returns {Object} The component
+   * @example this.replaceHistory().setSearch(keyword);
+   */
+  replaceHistory() {
+    this.__replace_history_state = true;
+
+    return this;
+  },
+  /**
+   * Internal function to restore this instance's params when history is popped.  Do not call directly.
+   * @function __onHistoryPop
+   * @private
+   * @param {Object} location The history location that was popped to
+   */
+  __onHistoryPop(location) {
+    const state = get(location.state, [this.__history_key]);
+
+    if (state) {
+      this.__setParamsFromHistory(cloneDeep(state));
+    } else {
+      // No state for this instance, e.g. the entry the page was loaded with, so fall back to the URL
+      this.__restoreFromURL(location.search);
+    }
+  },
+  /**
+   * Internal function to set params from history without pushing a new history state.  Do not call directly.
+   * @function __setParamsFromHistory
+   * @private
+   * @param {Object} params The params to restore
+   */
+  __setParamsFromHistory(params) {
+    // Pops for other instances on the page don't change this one
+    if (isEqual(params, this.params)) {
+      return;
+    }
+
+    this.__suppress_history_state = true;
+    this.__page_updated = true;
+    this.__setParams(params);
+  },
+  /**
+   * Internal function to restore params from the page URL, looking up any term slugs first.  Do not call directly.
+   * @function __restoreFromURL
+   * @private
+   * @param {string} search The URL query string
+   */
+  __restoreFromURL(search) {
+    const params = extend(this.__defaultParams(), this.unserializeParams(search));
+    const has_slugs = map(params, (value, key) => (key === 'tax_exclude' ? [].concat(...Object.values(value)) : value)).some(
+      (value) => value instanceof Array && value.some((term) => typeof term === 'string')
+    );
+
+    // Slugs can't be looked up when rendering on the server, which has no API to ask
+    if (has_slugs && !this.__ssr) {
+      // Slugs in the URL have to be looked up before fetching
+      this.__resolveTermSlugs(params).then((resolved) => {
+        this.__setParamsFromHistory(resolved);
+      });
+    } else {
+      this.__setParamsFromHistory(params);
+    }
+  },
+  /**
+   * Internal function to build the page URL for params.  Keys that belong to other instances or other scripts (e.g. utm_source) are kept.  Do not call directly.
+   * @function __historyURL
+   * @private
+   * @param {Object} [params] The params to build the URL for.  Defaults to the current params
+   * @returns {string} The path and query string
+   */
+  __historyURL(params) {
+    const defaults = this.__defaultParams();
+    const location = this.__history.location;
+    const url_params = new URLSearchParams(location.search);
+
+    Array.from(url_params.keys()).forEach((url_key) => {
+      if (this.__paramForURLKey(url_key, defaults)) {
+        url_params.delete(url_key);
+      }
+    });
+
+    const query = [url_params.toString(), this.serializeParams(params || this.params)].filter(Boolean).join('&');
+
+    return location.pathname + (query ? '?' + query : '') + location.hash;
+  },
+  /**
+   * Internal function to push to history.  Do not call directly.
+   * @function __pushHistoryState
+   * @private
+   */
+  __pushHistoryState(url) {
+    // History state is shared by every instance on the page, so only replace this instance's part of it
+    const state = extend({}, this.__history.location.state, { [this.__history_key]: cloneDeep(this.params) });
+    const changed = Object.keys(this.params).filter((key) => key !== 'pagenum' && !isEqual(this.params[key], get(this.__history_params, key)));
+    const replace_changes = changed.length > 0 && changed.every((key) => this.replace_history_params.indexOf(key) !== -1);
+
+    if (this.__replace_history_state === true || replace_changes) {
+      this.__history.replace(url, state);
+    } else {
+      this.__history.push(url, state);
+    }
+  },
+  /**
+   * Set search_input, as the user types into the search field.  With live_search this searches once they stop typing, and with search_suggestions it loads suggestions.
+   * @function setSearchInput
+   * @param {string} search_input The value of the search field
+   */
+  setSearchInput(search_input) {
+    if (search_input === this.search_input) {
+      return;
+    }
+
+    this.__setState({ search_input: search_input });
+
+    if (this.live_search) {
+      this.__debounced_search();
+    }
+
+    if (this.search_suggestions && search_input.trim() !== this.params.search) {
+      this.__debounced_suggestions(search_input);
+    }
+  },
+  /**
+   * Internal function to write state.  Subscribers are told once the current task is done, however many changes it made.  Do not call directly.
+   * @function __setState
+   * @private
+   * @param {Object} changes The state to change, keyed by state property
+   */
+  __setState(changes) {
+    extend(this.state, changes);
+    this.__notify();
+  },
+  /**
+   * Internal function to replace params.  Params are never changed in place, so every change replaces the params object, and is handled once the current task is done.  Do not call directly.
+   * @function __setParams
+   * @private
+   * @param {Object} params The new params
+   */
+  __setParams(params) {
+    if (params === this.params) {
+      return;
+    }
+
+    this.__params_changed = true;
+    this.__setState({ params: params });
+  },
+  /**
+   * Internal function to change some params, leaving the rest as they are.  Do not call directly.
+   * @function __updateParams
+   * @private
+   * @param {Object} changes The params to change
+   */
+  __updateParams(changes) {
+    if (Object.keys(changes).some((key) => changes[key] !== this.params[key])) {
+      this.__setParams(extend({}, this.params, changes));
+    }
+  },
+  /**
+   * Internal function to set a key in a keyed param, such as tax_exclude or meta_query.  Do not call directly.
+   * @function __setParamKey
+   * @private
+   * @param {string} param The param to change
+   * @param {string} key The key to set
+   * @param {*} value The value
+   */
+  __setParamKey(param, key, value) {
+    if (this.params[param][key] !== value) {
+      this.__updateParams({ [param]: extend({}, this.params[param], { [key]: value }) });
+    }
+  },
+  /**
+   * Internal function to handle a change to params: reset the page, fetch results, sync history and search_input, and emit events.  Do not call directly.
+   * @function __handleParamsChange
+   * @private
+   */
+  __handleParamsChange() {
+    if (this.__page_updated === false && this.params.pagenum !== 1) {
+      this.__updateParams({ pagenum: 1 }); // This change is handled too, so wait for that
+      return;
+    }
+
+    if (this.__initial_response) {
+      this.__useInitialResponse();
+    } else {
+      this.__fetchData();
+    }
+    this.__page_updated = false;
+
+    if (this.__suppress_history_state === false) {
+      this.__pushHistoryState(this.__historyURL());
+    }
+
+    this.__suppress_history_state = false;
+    this.__replace_history_state = false;
+    this.__history_params = cloneDeep(this.params); // Used to work out which params changed for replace_history_params
+
+    // Keep the search field in step with history and programmatic changes, without undoing what the user is still typing
+    if (this.params.search !== this.__synced_search) {
+      this.__synced_search = this.params.search;
+
+      if (!this.__search_from_input) {
+        this.__debounced_search.cancel();
+        this.__setState({ search_input: this.params.search || '' });
+      }
+    }
+    this.__search_from_input = false;
+
+    this.__emit('params-change', { params: this.params, initial: this.__is_initial_load === true });
+
+    if (this.params.pagenum !== this.__current_page) {
+      this.__emit('page-change', { page: this.params.pagenum, previous: this.__current_page });
+      this.__current_page = this.params.pagenum;
+    }
+
+    // if (this.__is_initial_load !== true) {
+      this.onParamsChange();
+    // }
+  },
+  /**
+   * Internal function to invalidate cached results when ver changes.  Do not call directly.
+   * @function __setVersion
+   * @private
+   * @param {number} ver The new version
+   */
+  __setVersion(ver) {
+    if (this.__cache) {
+      this.__cache.setVersion(ver);
+    }
+
+    this.__prefetched.setVersion(ver);
+    this.__collection = null;
+    this.__collection_items = null;
+
+    this.__updateParams({ ver: ver });
+  },
+  /**
+   * Internal function to call the listeners for an event.  Do not call directly.
+   * @function __emit
+   * @private
+   * @param {string} event The event
+   * @param {Object} payload The payload to pass to listeners
+   */
+  __emit(event, payload) {
+    (this.__listeners[event] || []).slice().forEach((listener) => listener(payload));
+  },
+  /**
+   * Internal function to schedule a flush after a change.  Do not call directly.
+   * @function __notify
+   * @private
+   */
+  __notify() {
+    this.__snapshot = null;
+
+    // Nothing is fetched or synced while rendering on the server
+    if (!this.__flush_scheduled && !this.__destroyed && !this.__ssr) {
+      this.__flush_scheduled = true;
+      this.__next_tick(() => this.__flush());
+    }
+  },
+  /**
+   * Internal function to handle a params change, if there was one, and then tell subscribers.  Do not call directly.
+   * @function __flush
+   * @private
+   */
+  __flush() {
+    this.__flush_scheduled = false;
+
+    if (this.__destroyed) {
+      return;
+    }
+
+    if (this.__params_changed) {
+      this.__params_changed = false;
+      this.__handleParamsChange();
+    }
+
+    const state = this.getState();
+    this.__subscribers.slice().forEach((subscriber) => subscriber(state));
+  },
+};
+
+/**
+ * Methods that only the store has, for the code that created it rather than for templates
+ */
+const store_methods = {
+  /**
+   * Start the library: restore params from the page URL, start syncing them to history, show initial_data and load terms.  createResourceLibrary() calls this unless its init option is false.
+   * @function init
+   */
+  init() {
+    // Set private properties
+    this.__page_updated = true; // Keep track of the latest change to query params was that the page number.  If not, reset to page 1.
+    this.__suppress_history_state = true; // Whether or not to suppress a history state.  Suppress it on load, and when popping history
+    this.__valid_meta_compares = ['=', '!=', '>', '>=', '<', '<=', 'LIKE', 'NOT LIKE', 'IN', 'NOT IN', 'BETWEEN', 'NOT BETWEEN', 'EXISTS', 'NOT EXISTS', 'REGEXP', 'NOT REGEXP', 'RLIKE'];
+    this.__valid_orderbys = ['author', 'date', 'id', 'include', 'modified', 'parent', 'relevance', 'slug', 'title'];
+    this.__embed_fields = ['id', 'date', 'slug', 'type', 'link', 'title', 'excerpt', 'author', 'featured_media', 'parent', '_links', '_embedded']; // The post fields in the embed context
+    this.__default_pagination_labels = {
+      first: 'First page',
+      prev: 'Previous page',
+      next: 'Next page',
+      last: 'Last page',
+      gap: 'More pages',
+      page: 'Page {page}',
+      current: 'Page {page}, current page',
+      range: 'Showing {start}–{end} of {total}',
+    };
+    this.__is_initial_load = true;
+    this.__request_id = 0; // Incremented for every request so that out-of-order responses can be dropped
+    this.__abort_controller = null;
+    this.__appending = false; // Whether the next fetch appends a page in load_more mode
+    this.__replace_history_state = false; // Whether to replace the current history state instead of pushing a new one
+    this.__load_more_observer = null;
+    this.__load_more_element = null; // The element observed by observeLoadMore()
+    this.__cache = this.cache
+      ? createQueryCache({
+          storage: this.cache_storage,
+          ttl: this.cache_ttl,
+          max_entries: this.cache_max_entries,
+          ver: this.ver,
+          scope: [this.namespace || 'default', this.api_namespace, this.api_route || this.post_type].join(':'),
+        })
+      : null;
+    this.__prefetched = createQueryCache({ ttl: this.cache_ttl, max_entries: this.cache_max_entries, ver: this.ver }); // Prefetched results, for when the cache is off
+    this.__prefetch_queue = []; // URLs waiting to be prefetched
+    this.__prefetching = {}; // Promises for in-flight prefetches, keyed by URL
+    this.__prefetch_controllers = {}; // AbortControllers for in-flight prefetches, keyed by URL
+    this.__collection = null; // A promise for the whole collection in client_side mode
+    this.__collection_items = null; // The whole collection in client_side mode, once it has loaded
+    this.__create_rest_handler = null; // createRESTHandler(), loaded with the collection
+    this.__collection_controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    this.__initial_response = this.initial_data // Server rendered results, which stand in for the first fetch
+      ? {
+          body: this.initial_data.posts || [],
+          total: parseInt(this.initial_data.total) || 0,
+          total_pages: parseInt(this.initial_data.total_pages) || 0,
+        }
+      : null;
+
+    this.__url_keys = extend({ search: 'q', pagenum: 'pg' }, this.url_keys); // Not "s", which makes WordPress render its search results instead of the page
+    this.__term_slugs = {}; // Term slugs looked up from the page URL, keyed by taxonomy and term ID
+    this.__url_prefix = this.namespace ? this.namespace + '_' : '';
+    this.__history_key = this.namespace || 'default';
+    this.__presets = createPresetStore({
+      storage: this.presets_storage,
+      key: this.presets_key || ['presets', this.__history_key, this.api_namespace, this.api_route || this.post_type].join(':'),
+    });
+    this.__setState({ presets: this.__presets.load() });
+
+    this.__history_params = {};
+    this.__debounced_search = debounce(() => this.__applySearchInput(), this.search_debounce);
+    this.__debounced_suggestions = debounce((search) => this.loadSuggestions(search), this.search_debounce);
+    this.__suggestions_controller = null;
+    this.__middleware = this.middleware.slice();
+    this.__current_page = null; // The page number at the last params change, for the page-change event
+    this.__synced_search = null; // The last params.search copied to search_input
+    this.__search_from_input = false; // Whether the latest search change came from search_input
+
+    this.__initHistory();
+    this.__restoreFromURL(this.__history.location.search); // Initialize params from the URL, or to initial values
+
+    // Show the server rendered results straight away.  They're applied again in place of the first fetch, once the params change is handled.
+    if (this.__initial_response) {
+      this.__setState({
+        wp_data: this.__initial_response.body,
+        pagination_data: { total: this.__initial_response.total, total_pages: this.__initial_response.total_pages },
+        loading: false,
+      });
+    }
+
+    // Server rendering doesn't wait on terms, which load once the page is in the browser
+    if (this.load_terms && !this.__ssr) {
+      this.loadTerms();
+    }
+
+    this.afterCreated();
+  },
+  /**
+   * Cancel requests, stop syncing to history and remove every subscriber and listener
+   * @function destroy
+   */
+  destroy() {
+    this.__abortFetch();
+    this.__abortPrefetch();
+
+    if (this.__collection_controller) {
+      this.__collection_controller.abort();
+    }
+
+    this.__debounced_search.cancel();
+    this.__debounced_suggestions.cancel();
+    this.clearSuggestions();
+    this.__destroyHistory();
+    this.unobserveLoadMore();
+
+    this.__destroyed = true;
+    this.__subscribers = [];
+    this.__listeners = {};
+  },
+  /**
+   * Subscribe to changes
+   * @function subscribe
+   * @param {function} subscriber Called with getState() after every batch of changes
+   * @returns {function} Call to unsubscribe
+   */
+  subscribe(subscriber) {
+    this.__subscribers = this.__subscribers.concat(subscriber);
+
+    return () => {
+      this.__subscribers = this.__subscribers.filter((item) => item !== subscriber);
+    };
+  },
+  /**
+   * Listen to an event.  One of "before-fetch", "loaded", "error", "params-change" or "page-change"
+   * @function on
+   * @param {string} event The event
+   * @param {function} listener Called with the event payload
+   * @returns {function} Call to stop listening
+   */
+  on(event, listener) {
+    this.__listeners[event] = (this.__listeners[event] || []).concat(listener);
+
+    return () => {
+      this.__listeners[event] = this.__listeners[event].filter((item) => item !== listener);
+    };
+  },
+  /**
+   * Get the state and computed properties.  The object is replaced after every change, so it can be compared by identity.  Computed properties are only worked out when they're read.
+   * @function getState
+   * @returns {Object} The state
+   */
+  getState() {
+    if (!this.__snapshot) {
+      const snapshot = extend({}, this.state);
+      const values = {};
+
+      COMPUTED.forEach((key) => {
+        Object.defineProperty(snapshot, key, {
+          enumerable: true,
+          get: () => (Object.hasOwnProperty.call(values, key) ? values[key] : (values[key] = this[key])),
+        });
+      });
+
+      this.__snapshot = snapshot;
+    }
+
+    return this.__snapshot;
+  },
+  /**
+   * Change props, e.g. ver to invalidate the cache
+   * @function setProps
+   * @param {Object} changes The props to change
+   */
+  setProps(changes) {
+    const ver = this.ver;
+    const changed = Object.keys(changes).filter((key) => Object.hasOwnProperty.call(PROPS, key) && changes[key] !== this.props[key]);
+
+    if (changed.length === 0) {
+      return;
+    }
+
+    changed.forEach((key) => {
+      this.props[key] = changes[key];
+    });
+
+    if (this.ver !== ver) {
+      this.__setVersion(this.ver);
+    }
+
+    this.__notify();
+  },
+  /**
+   * Handle a change made to params in place, e.g. by a template that binds a field to params.search.  Changes made with the methods are handled without this.
+   * @function paramsChanged
+   */
+  paramsChanged() {
+    this.__params_changed = true;
+    this.__notify();
+  },
+};
+
+/**
+ * Get a prop's default value
+ * @param {Object} prop The prop definition
+ * @returns {*} The default
+ */
+function propDefault(prop) {
+  return prop.default instanceof Function && prop.type !== Function ? prop.default() : prop.default;
+}
+
+/**
+ * The state properties, which are read only on the library
+ */
+export const STATE = Object.keys(initialState({ transformers: [] }));
+
+/**
+ * Create a Resource Library.  Changes are batched: a params change is handled (the fetch, history and events) and subscribers are told once, after the current task, however many changes were made.
+ * @function createResourceLibrary
+ * @param {Object} props The props (e.g. { post_type: 'resources', history_mode: 'memory' }).  See PROPS
+ * @param {Object} options
+ * @param {Object} options.methods Methods to add or override, e.g. the afterCreated, onInitialLoad and onParamsChange hooks
+ * @param {Object} options.router A vue-router instance, for the "router" history mode
+ * @param {Element|function} options.el The element for triggerRootEvent() to dispatch events on, or a function that returns it
+ * @param {function} options.nextTick Runs a callback on the next tick, once changes have rendered.  Changes are flushed on it too.  Defaults to the next microtask
+ * @param {boolean} options.ssr Whether this is rendering on the server, where nothing is fetched or synced to history
+ * @param {boolean} options.init Whether to call init() straight away.  Pass false to finish setting up (e.g. adding listeners) first
+ * @returns {Object} The library, with every method, state, prop and computed property, plus init, destroy, subscribe, on, getState, setProps and paramsChanged
+ */
+export function createResourceLibrary(props = {}, { methods: overrides = {}, router, el = null, nextTick, ssr = false, init = true } = {}) {
+  const library = {};
+
+  library.props = {};
+  for (const key in PROPS) {
+    library.props[key] = props[key] !== undefined ? props[key] : propDefault(PROPS[key]);
+  }
+  library.state = initialState(library.props);
+
+  // Props, state and computed properties are read only.  Change them with setProps() and the methods
+  Object.keys(PROPS).forEach((key) => {
+    Object.defineProperty(library, key, { enumerable: true, get: () => library.props[key] });
+  });
+  STATE.forEach((key) => {
+    Object.defineProperty(library, key, { enumerable: true, get: () => library.state[key] });
+  });
+  COMPUTED.forEach((key) => {
+    Object.defineProperty(library, key, { enumerable: true, get: () => computed[key].call(library) });
+  });
+
+  // Bind every method, so they can be passed around as event handlers
+  const all_methods = extend({}, methods, store_methods, overrides);
+  for (const key in all_methods) {
+    library[key] = all_methods[key].bind(library);
+  }
+
+  library.__router = router; // For the "router" history mode
+  library.__el = el;
+  library.__next_tick = nextTick || ((callback) => Promise.resolve().then(callback));
+  library.__ssr = ssr;
+  library.__subscribers = [];
+  library.__listeners = {}; // Event listeners, keyed by event
+  library.__snapshot = null; // The latest getState(), until the next change
+  library.__flush_scheduled = false;
+  library.__params_changed = false; // Whether params changed since the last flush
+  library.__destroyed = false;
+
+  if (init) {
+    library.init();
+  }
+
+  return library;
+}
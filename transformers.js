@@ -0,0 +1,278 @@
+import { get, extend, map } from 'lodash';
+import { getFeaturedMedia, imageURL, imageData } from './images';
+
+/**
+ * Resource normalization for the Resource Library.  Each raw REST item is copied into a consistently shaped resource and then passed
+ * through the registered transformers.  A transformer is a function (resource, raw) => resource, which may modify and return the copy
+ * it is given, but must never modify raw.
+ * @module Transformers
+ */
+
+/**
+ * Group the embedded terms by taxonomy
+ * @param {Object} raw The raw REST item
+ * @returns {Object} Arrays of terms keyed by taxonomy
+ */
+function embeddedTerms(raw) {
+  const terms = {};
+
+  (get(raw, ['_embedded', 'wp:term']) || []).forEach((taxonomy) => {
+    (taxonomy || []).forEach((term) => {
+      addTerm(terms, term.taxonomy, term);
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Look up the terms of a raw REST item in the loaded terms, for when wp:term isn't embedded
+ * @param {Object} raw The raw REST item, with term IDs listed by taxonomy REST base (e.g. categories: [3])
+ * @param {Object} taxonomy_terms Arrays of loaded terms, keyed by taxonomy REST base
+ * @returns {Object} Arrays of terms keyed by taxonomy, as embeddedTerms() groups them
+ */
+function loadedTerms(raw, taxonomy_terms) {
+  const terms = {};
+
+  map(taxonomy_terms, (loaded, base) => {
+    (raw[base] instanceof Array ? raw[base] : []).forEach((id) => {
+      const term = (loaded || []).find((item) => item.id === id);
+
+      if (term) {
+        addTerm(terms, term.taxonomy || base, term);
+      }
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Add a term to its taxonomy's list
+ * @param {Object} terms Arrays of terms keyed by taxonomy
+ * @param {string} taxonomy The taxonomy name
+ * @param {Object} term The term
+ */
+function addTerm(terms, taxonomy, term) {
+  // I have no idea why Wordpress expects this taxonomy to be called "tags" when querying, but returns it as "post_tag".
+  // Just normalize it here.
+  if (taxonomy === 'post_tag') {
+    taxonomy = 'tags';
+  }
+
+  if (terms[taxonomy] === undefined) {
+    terms[taxonomy] = [];
+  }
+
+  terms[taxonomy].push(term);
+}
+
+/**
+ * Get a rendered field, which the REST API sends as { rendered }
+ * @param {*} field The raw field
+ * @returns {string} The rendered string, or an empty string
+ */
+function rendered(field) {
+  if (!field) {
+    return '';
+  }
+
+  return field.rendered !== undefined ? field.rendered : field;
+}
+
+/**
+ * Copy a raw REST item into a resource, with rendered title, excerpt and content, terms grouped by taxonomy, getFeaturedImage(size) and getImage(size, sizes)
+ * @function normalizeResource
+ * @param {Object} raw The raw REST item
+ * @param {Array.<function>} transformers Transformers to run on the resource, in order
+ * @param {Object} options
+ * @param {string} options.placeholder_image An image URL for getImage() to fall back to when there is no featured image
+ * @param {Object} options.taxonomy_terms Loaded terms keyed by taxonomy REST base, to look terms up in when wp:term isn't embedded
+ * @returns {Object} The resource
+ */
+export function normalizeResource(raw, transformers = [], options = {}) {
+  const featured_media = getFeaturedMedia(raw);
+
+  let resource = extend({}, raw, {
+    title: rendered(raw.title),
+    excerpt: rendered(raw.excerpt),
+    content: rendered(raw.content),
+    terms: get(raw, ['_embedded', 'wp:term']) ? embeddedTerms(raw) : loadedTerms(raw, options.taxonomy_terms),
+    getFeaturedImage(size) {
+      return imageURL(featured_media, size);
+    },
+    getImage(size, sizes) {
+      return imageData(featured_media, size, { sizes: sizes, placeholder: options.placeholder_image });
+    },
+    raw: raw,
+  });
+
+  transformers.forEach((transformer) => {
+    resource = transformer(resource, raw) || resource;
+  });
+
+  return resource;
+}
+
+/**
+ * Limit a transformer to resources of some post types, for per-post-type mappers
+ * @function forPostType
+ * @param {string|Array.<string>} post_types The post type(s) as returned in the item's type field (e.g. "post", not "posts")
+ * @param {function} transformer The transformer
+ * @returns {function} A transformer
+ */
+export function forPostType(post_types, transformer) {
+  post_types = [].concat(post_types);
+
+  return (resource, raw) => (post_types.indexOf(raw.type) !== -1 ? transformer(resource, raw) : resource);
+}
+
+const named_entities = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '…',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+};
+
+/**
+ * Decode HTML entities, which WordPress uses in rendered titles (e.g. &#8217;).  Works without a DOM.
+ * @function decodeHTMLEntities
+ * @param {string} html The string to decode
+ * @returns {string} The decoded string
+ */
+export function decodeHTMLEntities(html) {
+  return String(html).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+
+      return isNaN(point) ? entity : String.fromCodePoint(point);
+    }
+
+    return named_entities[code.toLowerCase()] !== undefined ? named_entities[code.toLowerCase()] : entity;
+  });
+}
+
+/**
+ * Remove HTML tags from a string
+ * @param {string} html The string
+ * @returns {string} The text
+ */
+function stripTags(html) {
+  return String(html).replace(/<[^>]*>/g, ' ');
+}
+
+/**
+ * Decode HTML entities in fields, so they can be rendered as text instead of with v-html
+ * @function decodeEntities
+ * @param {Array.<string>} fields The fields to decode
+ * @returns {function} A transformer
+ */
+export function decodeEntities(fields = ['title']) {
+  return (resource) => {
+    fields.forEach((field) => {
+      if (typeof resource[field] === 'string') {
+        resource[field] = decodeHTMLEntities(resource[field]);
+      }
+    });
+
+    return resource;
+  };
+}
+
+/**
+ * Add reading_time, the estimated minutes to read the content.  The content is only sent in the view and edit contexts, so this falls back to the excerpt.
+ * @function readingTime
+ * @param {number} words_per_minute Reading speed
+ * @returns {function} A transformer
+ */
+export function readingTime(words_per_minute = 200) {
+  return (resource) => {
+    const text = decodeHTMLEntities(stripTags(resource.content || resource.excerpt)).trim();
+    const words = text ? text.split(/\s+/).length : 0;
+
+    resource.reading_time = words ? Math.max(1, Math.round(words / words_per_minute)) : 0;
+
+    return resource;
+  };
+}
+
+/**
+ * Add date_formatted and modified_formatted, formatted with Intl.DateTimeFormat
+ * @function formattedDates
+ * @param {Object} options Intl.DateTimeFormat options
+ * @param {string} locale The locale to format for.  Defaults to the browser's
+ * @returns {function} A transformer
+ */
+export function formattedDates(options = { year: 'numeric', month: 'long', day: 'numeric' }, locale) {
+  const formatter = new Intl.DateTimeFormat(locale, options);
+
+  return (resource, raw) => {
+    ['date', 'modified'].forEach((field) => {
+      const date = raw[field] ? new Date(raw[field]) : null;
+
+      resource[`${field}_formatted`] = date && !isNaN(date.getTime()) ? formatter.format(date) : '';
+    });
+
+    return resource;
+  };
+}
+
+/**
+ * Add author_details from the embedded author ({ id, name, slug, link, avatar })
+ * @function embeddedAuthor
+ * @param {number} avatar_size The avatar size to use, one of the sizes in avatar_urls
+ * @returns {function} A transformer
+ */
+export function embeddedAuthor(avatar_size = 96) {
+  return (resource, raw) => {
+    const author = get(raw, ['_embedded', 'author', '0']);
+
+    resource.author_details = author
+      ? {
+          id: author.id,
+          name: author.name,
+          slug: author.slug,
+          link: author.link,
+          avatar: get(author, ['avatar_urls', avatar_size], ''),
+        }
+      : null;
+
+    return resource;
+  };
+}
+
+/**
+ * Copy Advanced Custom Fields from the acf field onto the resource
+ * @function acfFields
+ * @param {Array.<string>|Object} fields The fields to copy, or an object mapping ACF field names to resource property names.  Defaults to all fields
+ * @returns {function} A transformer
+ */
+export function acfFields(fields) {
+  return (resource, raw) => {
+    const acf = raw.acf || {};
+    const mapping = {};
+
+    if (!fields) {
+      Object.keys(acf).forEach((field) => (mapping[field] = field));
+    } else if (fields.constructor === Array) {
+      fields.forEach((field) => (mapping[field] = field));
+    } else {
+      extend(mapping, fields);
+    }
+
+    map(mapping, (property, field) => {
+      resource[property] = acf[field] !== undefined ? acf[field] : null;
+    });
+
+    return resource;
+  };
+}
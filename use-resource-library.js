@@ -0,0 +1,55 @@
+import { shallowRef, computed, watch, isReactive, getCurrentInstance, onBeforeUnmount } from 'vue';
+import { extend } from 'lodash';
+import { createResourceLibrary } from './store';
+
+/**
+ * Vue 3 composable for the Resource Library, built on the framework-agnostic store
+ * @module useResourceLibrary
+ * @example
+ * setup() {
+ *   const { state, search_input, store } = useResourceLibrary({ post_type: 'resources' });
+ *   return { state, search_input, selectPage: store.selectPage };
+ * }
+ */
+
+/**
+ * Create a Resource Library store for a component.  It is destroyed when the component unmounts.
+ * @function useResourceLibrary
+ * @param {Object} props The props, as for the Vue mixin.  Changes to reactive props (e.g. the component's) are passed on with setProps()
+ * @param {Object} options The store options.  See createResourceLibrary().  router defaults to the app's vue-router instance, and ssr to whether there is no window
+ * @returns {Object} { state, search_input, store }.  state is a shallow ref of store.getState(), replaced after every change.  search_input is a writable computed ref for v-model.  store has every method of the mixin
+ */
+export function useResourceLibrary(props = {}, options = {}) {
+  const instance = getCurrentInstance();
+  const router = options.router || (instance ? instance.appContext.config.globalProperties.$router : undefined);
+  // Like the mixin on the server, nothing is fetched or synced to history while server rendering
+  const store = createResourceLibrary(props, extend({ ssr: typeof window === 'undefined' }, options, { router: router }));
+  const state = shallowRef(store.getState());
+  const unsubscribe = store.subscribe((new_state) => {
+    state.value = new_state;
+  });
+
+  if (isReactive(props)) {
+    watch(() => extend({}, props), (new_props) => store.setProps(new_props));
+  }
+
+  const search_input = computed({
+    get: () => state.value.search_input,
+    set: (value) => {
+      store.setSearchInput(value);
+    },
+  });
+
+  if (instance) {
+    onBeforeUnmount(() => {
+      unsubscribe();
+      store.destroy();
+    });
+  }
+
+  return {
+    state: state,
+    search_input: search_input,
+    store: store,
+  };
+}